@@ -0,0 +1,51 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Tree } from '@angular-devkit/schematics';
+export interface FileChanges {
+    created: string[];
+    modified: string[];
+    deleted: string[];
+    renamed: {
+        from: string;
+        to: string;
+    }[];
+}
+export interface MigrationChanges extends FileChanges {
+    name: string;
+    version: string;
+    /**
+     * The time the migration took, in milliseconds.
+     */
+    duration: number;
+}
+export interface MigrationReport {
+    package: string;
+    collection: string;
+    from: string;
+    to: string;
+    migrations: MigrationChanges[];
+}
+/**
+ * Lists the files changed between two states of a tree.
+ * @param before The tree before the changes, branched from `after` before they were made.
+ * @param ignore Paths starting with one of those are not listed.
+ */
+export declare function getChanges(before: Tree, after: Tree, ignore?: string[]): FileChanges;
+/**
+ * Formats a duration in milliseconds as seconds, e.g. `1.5s`.
+ */
+export declare function formatSeconds(milliseconds: number): string;
+/**
+ * Formats the number of files changed by each migration, and the time it took, as a table.
+ */
+export declare function formatChangesSummary(migrations: MigrationChanges[]): string;
+/**
+ * Adds the changes made by the migrations of a package to a report, as markdown or JSON depending
+ * on the extension of the report. Reports of other packages already in the file are kept.
+ */
+export declare function writeChangesReport(tree: Tree, path: string, report: MigrationReport): void;
@@ -0,0 +1,129 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.writeChangesReport = exports.formatChangesSummary = exports.formatSeconds = exports.getChanges = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const schematics_1 = require("@angular-devkit/schematics");
+/**
+ * Lists the files changed between two states of a tree.
+ * @param before The tree before the changes, branched from `after` before they were made.
+ * @param ignore Paths starting with one of those are not listed.
+ */
+function getChanges(before, after, ignore = []) {
+    const changes = { created: [], modified: [], deleted: [], renamed: [] };
+    const paths = new Set();
+    for (const action of after.actions) {
+        if (action.kind == 'r'
+            && before.exists(action.path) && !before.exists(action.to)
+            && !after.exists(action.path) && after.exists(action.to)) {
+            changes.renamed.push({ from: action.path, to: action.to });
+            continue;
+        }
+        paths.add(action.path);
+        if (action.kind == 'r') {
+            paths.add(action.to);
+        }
+    }
+    const renamed = new Set(changes.renamed.reduce((acc, { from, to }) => acc.concat(from, to), []));
+    for (const path of [...paths].sort()) {
+        if (renamed.has(path) || ignore.some(prefix => path.startsWith(prefix))) {
+            continue;
+        }
+        const beforeContent = before.read(path);
+        const afterContent = after.read(path);
+        if (!beforeContent && afterContent) {
+            changes.created.push(path);
+        }
+        else if (beforeContent && !afterContent) {
+            changes.deleted.push(path);
+        }
+        else if (beforeContent && afterContent && !beforeContent.equals(afterContent)) {
+            changes.modified.push(path);
+        }
+    }
+    return changes;
+}
+exports.getChanges = getChanges;
+/**
+ * Formats a duration in milliseconds as seconds, e.g. `1.5s`.
+ */
+function formatSeconds(milliseconds) {
+    return `${(milliseconds / 1000).toFixed(1)}s`;
+}
+exports.formatSeconds = formatSeconds;
+/**
+ * Formats the number of files changed by each migration, and the time it took, as a table.
+ */
+function formatChangesSummary(migrations) {
+    const namePad = Math.max(...migrations.map(x => x.name.length), 9) + 2;
+    const lines = [
+        '  ' + 'Migration'.padEnd(namePad) + 'Version'.padEnd(16) + 'Created  Modified  Deleted  Renamed  Time',
+    ];
+    for (const { name, version, duration, created, modified, deleted, renamed } of migrations) {
+        lines.push('  ' + name.padEnd(namePad) + version.padEnd(16)
+            + `${created.length}`.padEnd(9) + `${modified.length}`.padEnd(10)
+            + `${deleted.length}`.padEnd(9) + `${renamed.length}`.padEnd(9) + formatSeconds(duration));
+    }
+    return lines.join('\n');
+}
+exports.formatChangesSummary = formatChangesSummary;
+function _formatMarkdown(report) {
+    const lines = [
+        `## ${report.package} (${report.from} -> ${report.to})`,
+        '',
+        '| Migration | Version | Created | Modified | Deleted | Renamed | Time |',
+        '| --- | --- | --- | --- | --- | --- | --- |',
+        ...report.migrations.map(({ name, version, duration, created, modified, deleted, renamed }) => `| ${name} | ${version} | ${created.length} | ${modified.length} | ${deleted.length} | ${renamed.length} `
+            + `| ${formatSeconds(duration)} |`),
+    ];
+    for (const { name, version, created, modified, deleted, renamed } of report.migrations) {
+        const files = [
+            ...created.map(path => `- Created \`${path.substr(1)}\``),
+            ...modified.map(path => `- Modified \`${path.substr(1)}\``),
+            ...deleted.map(path => `- Deleted \`${path.substr(1)}\``),
+            ...renamed.map(({ from, to }) => `- Renamed \`${from.substr(1)}\` to \`${to.substr(1)}\``),
+        ];
+        if (files.length > 0) {
+            lines.push('', `### ${name} (${version})`, '', ...files);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+/**
+ * Adds the changes made by the migrations of a package to a report, as markdown or JSON depending
+ * on the extension of the report. Reports of other packages already in the file are kept.
+ */
+function writeChangesReport(tree, path, report) {
+    const existing = tree.read(path);
+    let content;
+    if (path.endsWith('.md')) {
+        content = (existing ? existing.toString() + '\n' : '') + _formatMarkdown(report);
+    }
+    else if (path.endsWith('.json')) {
+        let packages = [];
+        if (existing) {
+            try {
+                packages = JSON.parse(existing.toString()).packages || [];
+            }
+            catch (_a) {
+                throw new schematics_1.SchematicsException(`The migration report ${path} is malformed.`);
+            }
+        }
+        content = JSON.stringify({ packages: [...packages, report] }, null, 2) + '\n';
+    }
+    else {
+        throw new schematics_1.SchematicsException(`Unsupported migration report ${JSON.stringify(path)}. Use a .md or .json file.`);
+    }
+    if (existing) {
+        tree.overwrite(path, content);
+    }
+    else {
+        tree.create(path, content);
+    }
+}
+exports.writeChangesReport = writeChangesReport;
@@ -1,4 +1,4 @@
-import { Rule } from '@angular-devkit/schematics';
+import { Rule, SchematicsException } from '@angular-devkit/schematics';
 import { Schema as PostUpdateSchema } from './schema';
 /**
  * Cleans up "short" version numbers so they become valid semver. For example;
@@ -9,4 +9,62 @@ import { Schema as PostUpdateSchema } from './schema';
  * Exported for testing only.
  */
 export declare function _coerceVersionNumber(version: string): string | null;
+export interface MigrationToRun {
+    name: string;
+    version: string;
+    description?: string;
+    /**
+     * Whether the migration declares itself as optional, in which case users can choose not to
+     * run it.
+     */
+    optional: boolean;
+}
+/**
+ * Selects the migrations to run when migrating between two versions, in the order they should be
+ * run. Migrations without a version or a version range are never selected.
+ *
+ * A migration with a `version` is selected when migrating past that version: `from < version <=
+ * to`, prereleases included. A migration with a `versionRange` is instead selected when `to`
+ * satisfies the range and `from` doesn't, prereleases included. This lets a migration introduced
+ * in a prerelease run exactly once, whether users update through the prereleases or straight to
+ * the stable version. Those migrations are ordered by the minimum version of their range.
+ *
+ * The `channel` of a migration restricts the updates it is selected for:
+ * - `any` (the default): every update.
+ * - `stable`: updates to a stable version.
+ * - `prerelease`: updates from a prerelease to another prerelease.
+ *
+ * @param migrations The name and description of every schematic in the migration collection.
+ *
+ * Exported for testing only.
+ */
+export declare function _selectMigrations(migrations: Iterable<{
+    name: string;
+    description: {
+        [key: string]: unknown;
+    };
+}>, fromVersion: string, toVersion: string): MigrationToRun[];
+/**
+ * Selects migrations by name, in the order they would run when migrating between versions.
+ * @param migrations The name and description of every schematic in the migration collection.
+ *
+ * Exported for testing only.
+ */
+export declare function _selectNamedMigrations(migrations: Iterable<{
+    name: string;
+    description: {
+        [key: string]: unknown;
+    };
+}>, names: string[]): MigrationToRun[];
+/**
+ * The error thrown when a migration fails, with the package and the migration it comes from.
+ */
+export declare class MigrationError extends SchematicsException {
+    readonly packageName: string;
+    readonly collection: string;
+    readonly migration: string;
+    readonly version: string;
+    readonly cause: unknown;
+    constructor(packageName: string, collection: string, migration: MigrationToRun, cause: unknown);
+}
 export default function (options: PostUpdateSchema): Rule;
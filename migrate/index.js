@@ -1,8 +1,15 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports._coerceVersionNumber = void 0;
+exports.MigrationError = exports._selectNamedMigrations = exports._selectMigrations = exports._coerceVersionNumber = void 0;
 const schematics_1 = require("@angular-devkit/schematics");
+const tasks_1 = require("@angular-devkit/schematics/tasks");
 const semver = require("semver");
+const choices_1 = require("../update/choices");
+const interactive_1 = require("../update/interactive");
+const changes_1 = require("./changes");
+const journal_1 = require("./journal");
+const progress_1 = require("./progress");
+const transaction_1 = require("./transaction");
 /**
  * Cleans up "short" version numbers so they become valid semver. For example;
  *   1 => 1.0.0
@@ -30,43 +37,407 @@ function _coerceVersionNumber(version) {
     return semver.valid(version);
 }
 exports._coerceVersionNumber = _coerceVersionNumber;
-function default_1(options) {
+/**
+ * Selects the migrations to run when migrating between two versions, in the order they should be
+ * run. Migrations without a version or a version range are never selected.
+ *
+ * A migration with a `version` is selected when migrating past that version: `from < version <=
+ * to`, prereleases included. A migration with a `versionRange` is instead selected when `to`
+ * satisfies the range and `from` doesn't, prereleases included. This lets a migration introduced
+ * in a prerelease run exactly once, whether users update through the prereleases or straight to
+ * the stable version. Those migrations are ordered by the minimum version of their range.
+ *
+ * The `channel` of a migration restricts the updates it is selected for:
+ * - `any` (the default): every update.
+ * - `stable`: updates to a stable version.
+ * - `prerelease`: updates from a prerelease to another prerelease.
+ *
+ * @param migrations The name and description of every schematic in the migration collection.
+ *
+ * Exported for testing only.
+ */
+function _selectMigrations(migrations, fromVersion, toVersion) {
+    const schematicsToRun = [];
+    const from = _coerceVersionNumber(fromVersion);
+    if (!from) {
+        throw new schematics_1.SchematicsException(`Invalid from option: ${JSON.stringify(fromVersion)}`);
+    }
+    const to = semver.validRange('<=' + toVersion);
+    if (!to) {
+        throw new schematics_1.SchematicsException(`Invalid to option: ${JSON.stringify(toVersion)}`);
+    }
+    // The range of versions to migrate to only has a version when migrating to a specific version.
+    const toNumber = _coerceVersionNumber(toVersion);
+    for (const { name, description } of migrations) {
+        const version = _getMigrationVersion(description);
+        if (!version || !_isMigrationInChannel(description, from, toNumber)) {
+            continue;
+        }
+        const range = _getMigrationRange(description);
+        const selected = range
+            ? !!toNumber
+                && semver.satisfies(toNumber, range, { includePrerelease: true })
+                && !semver.satisfies(from, range, { includePrerelease: true })
+            : semver.gt(version, from) && semver.satisfies(version, to, { includePrerelease: true });
+        if (selected) {
+            schematicsToRun.push(_createMigrationToRun(name, version, description));
+        }
+    }
+    return schematicsToRun.sort(_compareMigrations);
+}
+exports._selectMigrations = _selectMigrations;
+/**
+ * Selects migrations by name, in the order they would run when migrating between versions.
+ * @param migrations The name and description of every schematic in the migration collection.
+ *
+ * Exported for testing only.
+ */
+function _selectNamedMigrations(migrations, names) {
+    const schematicsToRun = [];
+    const all = [...migrations];
+    for (const name of names) {
+        const migration = all.find(x => x.name == name);
+        if (!migration) {
+            throw new schematics_1.SchematicsException(`Migration ${JSON.stringify(name)} was not found. Available migrations: `
+                + all.map(x => x.name).join(', '));
+        }
+        const version = _getMigrationVersion(migration.description);
+        if (!version) {
+            throw new schematics_1.SchematicsException(`Migration ${JSON.stringify(name)} has no version nor version range and cannot be run as a migration.`);
+        }
+        if (!schematicsToRun.some(x => x.name == name)) {
+            schematicsToRun.push(_createMigrationToRun(name, version, migration.description));
+        }
+    }
+    return schematicsToRun.sort(_compareMigrations);
+}
+exports._selectNamedMigrations = _selectNamedMigrations;
+/**
+ * @returns The version range of a migration, or undefined if it only has a version.
+ */
+function _getMigrationRange(description) {
+    if (description['versionRange'] === undefined) {
+        return undefined;
+    }
+    const range = typeof description['versionRange'] == 'string' && semver.validRange(description['versionRange']);
+    if (!range) {
+        throw new schematics_1.SchematicsException(`Invalid migration version range: ${JSON.stringify(description['versionRange'])}`);
+    }
+    return range;
+}
+function _isMigrationInChannel(description, from, to) {
+    switch (description['channel']) {
+        case undefined:
+        case 'any':
+            return true;
+        case 'stable':
+            return !!to && !semver.prerelease(to);
+        case 'prerelease':
+            return !!to && !!semver.prerelease(from) && !!semver.prerelease(to);
+        default:
+            throw new schematics_1.SchematicsException(`Invalid migration channel: ${JSON.stringify(description['channel'])}. `
+                + `Expected 'any', 'stable' or 'prerelease'.`);
+    }
+}
+/**
+ * @returns The version of a migration, which is the minimum version of its range for migrations
+ *     with a version range, or undefined for schematics without a version.
+ */
+function _getMigrationVersion(description) {
+    if (typeof description['version'] != 'string') {
+        const range = _getMigrationRange(description);
+        return range ? semver.minVersion(range).version : undefined;
+    }
+    const version = _coerceVersionNumber(description['version']);
+    if (!version) {
+        throw new schematics_1.SchematicsException(`Invalid migration version: ${JSON.stringify(description['version'])}`);
+    }
+    return version;
+}
+function _createMigrationToRun(name, version, description) {
+    return {
+        name,
+        version,
+        description: typeof description['description'] == 'string' ? description['description'] : undefined,
+        optional: description['optional'] === true,
+    };
+}
+function _compareMigrations(a, b) {
+    const cmp = semver.compare(a.version, b.version);
+    // Revert to comparing the names of the collection if the versions are equal.
+    return cmp == 0 ? a.name.localeCompare(b.name) : cmp;
+}
+/**
+ * Logs every migration of a collection with its version and description, marking the ones that
+ * run when migrating between the versions given.
+ */
+function _listMigrations(options, migrations, logger) {
+    const selected = new Set(_selectMigrations(migrations, options.from, options.to).map(x => x.name));
+    const listed = migrations
+        .map(({ name, description }) => _createMigrationToRun(name, _getMigrationVersion(description), description))
+        .sort((a, b) => {
+        // Schematics without a version are listed last.
+        if (!a.version || !b.version) {
+            return a.version ? -1 : b.version ? 1 : a.name.localeCompare(b.name);
+        }
+        return _compareMigrations(a, b);
+    });
+    if (listed.length == 0) {
+        logger.info(`Package '${options.package}' has no migrations.`);
+        return;
+    }
+    logger.info(`Migrations of package '${options.package}' (* runs when migrating from ${options.from} to ${options.to}):`);
+    for (const { name, version, description } of listed) {
+        logger.info(`  ${selected.has(name) ? '*' : ' '} ${(version || '-').padEnd(16)} ${name}`);
+        if (description) {
+            logger.info(`      ${description}`);
+        }
+    }
+}
+/**
+ * The error thrown when a migration fails, with the package and the migration it comes from.
+ */
+class MigrationError extends schematics_1.SchematicsException {
+    constructor(packageName, collection, migration, cause) {
+        super(`Migration ${migration.name} (${migration.version}) of package '${packageName}' from collection `
+            + `'${collection}' failed: ${cause instanceof Error ? cause.message : cause}`);
+        this.packageName = packageName;
+        this.collection = collection;
+        this.migration = migration.name;
+        this.version = migration.version;
+        this.cause = cause;
+    }
+}
+exports.MigrationError = MigrationError;
+/**
+ * Runs a migration and records it in the progress journal once it completed.
+ * @param changes The files changed by the migration are added to this list.
+ * @param failures With `continueOnError`, migrations that fail are added to this list instead of
+ *     failing the rule.
+ */
+function _runMigration(options, migration, changes, failures) {
+    return async (tree, context) => {
+        const before = tree.branch();
+        const start = Date.now();
+        context.logger.info(`  Migration ${migration.name} (${migration.version}) started.`);
+        try {
+            tree = await schematics_1.callRule(schematics_1.externalSchematic(options.collection, migration.name, {}), tree, context).toPromise();
+        }
+        catch (e) {
+            const error = new MigrationError(options.package, options.collection, migration, e);
+            context.logger.info(`  Migration ${migration.name} (${migration.version}) failed after `
+                + `${changes_1.formatSeconds(Date.now() - start)}.`);
+            if (!failures) {
+                throw error;
+            }
+            context.logger.error(`  ${error.message}`);
+            failures.push(error);
+            return tree;
+        }
+        const duration = Date.now() - start;
+        context.logger.info(`  Migration ${migration.name} (${migration.version}) completed in ${changes_1.formatSeconds(duration)}.`);
+        changes.push({
+            name: migration.name,
+            version: migration.version,
+            duration,
+            ...changes_1.getChanges(before, tree, [`${journal_1.journalDirectory}/`]),
+        });
+        progress_1.recordMigration(tree, context.logger, {
+            package: options.package,
+            collection: options.collection,
+            name: migration.name,
+            version: migration.version,
+            from: options.from,
+            to: options.to,
+        });
+        return tree;
+    };
+}
+/**
+ * Logs the migrations that failed when running with `continueOnError`. The run then fails, once
+ * the changes of the other migrations are saved.
+ */
+function _reportFailures(options, failures) {
     return (tree, context) => {
-        const schematicsToRun = [];
-        const from = _coerceVersionNumber(options.from);
-        if (!from) {
-            throw new schematics_1.SchematicsException(`Invalid from option: ${JSON.stringify(options.from)}`);
+        if (failures.length == 0) {
+            return;
         }
-        const to = semver.validRange('<=' + options.to);
-        if (!to) {
-            throw new schematics_1.SchematicsException(`Invalid to option: ${JSON.stringify(options.to)}`);
+        context.logger.error(`The following migrations of package '${options.package}' failed:\n`
+            + failures.map(x => `  - ${x.migration} (${x.version}): ${x.cause instanceof Error ? x.cause.message : x.cause}`).join('\n'));
+        context.logger.info('Fix the errors, then run the migrations that failed again with \'--name\'.');
+        // A schematic that fails has its changes discarded, including those of the migrations that
+        // completed. So this run succeeds, and a task running this schematic with the internal
+        // `error` option fails once the changes are saved. It runs after the tasks that are already
+        // scheduled, such as the migrations of other packages, so those still run before the update
+        // fails.
+        context.addTask(new tasks_1.RunSchematicTask('@schematics/update', 'migrate', {
+            package: options.package,
+            collection: options.collection,
+            from: options.from,
+            to: options.to,
+            error: `${failures.length} migration(s) of package '${options.package}' failed.`,
+        }));
+    };
+}
+/**
+ * Logs the files changed by each migration, and adds them to the report if one was requested.
+ */
+function _reportChanges(options, changes) {
+    return (tree, context) => {
+        if (changes.length == 0) {
+            return;
+        }
+        context.logger.info(`Summary of the changes made by the migrations of package '${options.package}':\n`
+            + changes_1.formatChangesSummary(changes));
+        if (options.report) {
+            changes_1.writeChangesReport(tree, options.report, {
+                package: options.package,
+                collection: options.collection,
+                from: options.from,
+                to: options.to,
+                migrations: changes,
+            });
+        }
+    };
+}
+/**
+ * Runs the migrations of a package as part of a transactional update. The original content of the
+ * files changed by the migrations is recorded in the transaction journal. When a migration fails,
+ * every file recorded in the journal is restored and the original packages are installed again;
+ * the last step of the update reports the failure. Migrations are skipped once the update was
+ * reverted.
+ */
+function _runMigrationsInTransaction(options, schematicsToRun) {
+    return async (tree, context) => {
+        const transaction = transaction_1.readTransaction(tree, options.transaction);
+        if (!transaction) {
+            throw new schematics_1.SchematicsException(`The transaction journal ${options.transaction} was not found.`);
+        }
+        if (transaction.error) {
+            context.logger.info(`Skipping the migrations of package '${options.package}', the update was reverted.`);
+            return tree;
         }
+        const original = tree.branch();
+        const changes = [];
+        const recordChanges = (changed) => {
+            const paths = [];
+            for (const action of changed.actions) {
+                paths.push(action.path);
+                if (action.kind == 'r') {
+                    paths.push(action.to);
+                }
+            }
+            transaction_1.recordOriginals(transaction, original, paths.filter(path => !path.startsWith(`${journal_1.journalDirectory}/`)));
+        };
+        for (const migration of schematicsToRun) {
+            try {
+                tree = await schematics_1.callRule(_runMigration(options, migration, changes), tree, context).toPromise();
+            }
+            catch (e) {
+                recordChanges(tree);
+                transaction_1.revertTransaction(tree, transaction, e.message, options.transaction);
+                context.logger.error(`${e.message} Reverting the update...`);
+                context.addTask(new tasks_1.NodePackageInstallTask({ packageManager: options.packageManager }));
+                return tree;
+            }
+        }
+        _reportChanges(options, changes)(tree, context);
+        recordChanges(tree);
+        // The last step of the update deletes the journal, see the transaction schematic.
+        transaction.pending = transaction.pending.filter(name => name != options.package);
+        transaction_1.writeTransaction(tree, transaction, options.transaction);
+        return tree;
+    };
+}
+/**
+ * Asks whether to run each optional migration, or replays the answers saved in the choices file.
+ * Optional migrations without a saved answer are run.
+ */
+async function _selectOptionalMigrations(options, schematicsToRun, tree) {
+    if (!options.interactive && !options.choicesFile) {
+        return schematicsToRun;
+    }
+    const choices = (options.choicesFile && choices_1.readChoices(tree, options.choicesFile))
+        || { packages: {}, migrations: {} };
+    const answers = choices.migrations[options.package] || {};
+    const selected = [];
+    for (const migration of schematicsToRun) {
+        if (migration.optional && options.interactive) {
+            answers[migration.name] = await interactive_1.promptMigration(options.package, migration.name, migration.description);
+        }
+        if (!migration.optional || answers[migration.name] !== false) {
+            selected.push(migration);
+        }
+    }
+    if (options.interactive && options.choicesFile) {
+        choices.migrations[options.package] = answers;
+        choices_1.writeChoices(options.choicesFile, choices);
+    }
+    return selected;
+}
+function default_1(options) {
+    if (options.error) {
+        // Internal: reports the migrations that failed with `continueOnError` once the changes of the
+        // others were saved, see `_reportFailures`.
+        return () => {
+            throw new schematics_1.SchematicsException(options.error);
+        };
+    }
+    return async (tree, context) => {
         // Create the collection for the package.
         const collection = context.engine.createCollection(options.collection);
-        for (const name of collection.listSchematicNames()) {
-            const schematic = collection.createSchematic(name, true);
-            const description = schematic.description;
-            let version = description['version'];
-            if (typeof version == 'string') {
-                version = _coerceVersionNumber(version);
-                if (!version) {
-                    throw new schematics_1.SchematicsException(`Invalid migration version: ${JSON.stringify(description['version'])}`);
-                }
-                if (semver.gt(version, from) &&
-                    semver.satisfies(version, to, { includePrerelease: true })) {
-                    schematicsToRun.push({ name, version });
-                }
+        const migrations = collection.listSchematicNames().map(name => ({
+            name,
+            description: collection.createSchematic(name, true).description,
+        }));
+        if (options.list) {
+            _listMigrations(options, migrations, context.logger);
+            return tree;
+        }
+        let schematicsToRun = options.names && options.names.length > 0
+            ? _selectNamedMigrations(migrations, options.names)
+            : _selectMigrations(migrations, options.from, options.to);
+        if (options.resume) {
+            const completed = progress_1.readProgress(tree, context.logger);
+            const lastCompleted = completed
+                .filter(entry => entry.package == options.package && entry.from == options.from && entry.to == options.to)
+                .pop();
+            const changed = lastCompleted ? progress_1.getChangedManifests(tree, lastCompleted) : [];
+            if (changed.length > 0) {
+                throw new schematics_1.SchematicsException(`Cannot resume the migrations of package '${options.package}': `
+                    + `${changed.join(' and ')} changed since they last ran, so the migrations recorded as `
+                    + `completed may not match the project anymore. Run the migrations without '--resume'.`);
+            }
+            const remaining = schematicsToRun.filter(x => !progress_1.isMigrationCompleted(completed, {
+                package: options.package,
+                name: x.name,
+                version: x.version,
+                from: options.from,
+                to: options.to,
+            }));
+            if (remaining.length < schematicsToRun.length) {
+                context.logger.info(`Skipping ${schematicsToRun.length - remaining.length} migration(s) of package `
+                    + `'${options.package}' that already completed.`);
             }
+            schematicsToRun = remaining;
+        }
+        schematicsToRun = await _selectOptionalMigrations(options, schematicsToRun, tree);
+        if (options.transaction) {
+            if (schematicsToRun.length > 0) {
+                context.logger.info(`** Executing migrations for package '${options.package}' **`);
+            }
+            return _runMigrationsInTransaction(options, schematicsToRun);
         }
-        schematicsToRun.sort((a, b) => {
-            const cmp = semver.compare(a.version, b.version);
-            // Revert to comparing the names of the collection if the versions are equal.
-            return cmp == 0 ? a.name.localeCompare(b.name) : cmp;
-        });
         if (schematicsToRun.length > 0) {
             context.logger.info(`** Executing migrations for package '${options.package}' **`);
-            const rules = schematicsToRun.map(x => schematics_1.externalSchematic(options.collection, x.name, {}));
-            return schematics_1.chain(rules);
+            const changes = [];
+            const failures = options.continueOnError ? [] : undefined;
+            const rules = schematicsToRun.map(x => _runMigration(options, x, changes, failures));
+            return schematics_1.chain([
+                ...rules,
+                _reportChanges(options, changes),
+                ...(failures ? [_reportFailures(options, failures)] : []),
+            ]);
         }
         return tree;
     };
@@ -0,0 +1,95 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const schematics_1 = require("@angular-devkit/schematics");
+const testing_1 = require("@angular-devkit/schematics/testing");
+describe('@schematics/update:migrate', () => {
+    const schematicRunner = new testing_1.SchematicTestRunner('@schematics/update', require.resolve('../collection.json'));
+    describe('with version ranges and channels', () => {
+        // Returns the migrations run, in order.
+        async function migrate(from, to) {
+            const appTree = new testing_1.UnitTestTree(new schematics_1.HostTree());
+            const tree = await schematicRunner.runSchematicAsync('migrate', {
+                package: 'test',
+                collection: __dirname + '/test/migration-channels.json',
+                from,
+                to,
+            }, appTree).toPromise();
+            return tree.exists('/migrations') ? JSON.parse(tree.readContent('/migrations')) : [];
+        }
+        it('runs the stable migrations when updating from a stable version', async () => {
+            expect(await migrate('1.5.0', '2.0.0')).toEqual([
+                'migration-01',
+                'migration-02',
+                'migration-00',
+                'migration-03',
+                'migration-05',
+                // Ordered by its version rather than the minimum version of its range.
+                'migration-07',
+            ]);
+        });
+        it('does not run range migrations whose range the installed version satisfies', async () => {
+            // migration-09 ran when 1.x was installed.
+            expect(await migrate('1.5.0', '2.0.0')).not.toContain('migration-09');
+            expect(await migrate('2.5.0', '3.1.0')).toEqual(['migration-08']);
+        });
+        it('runs the prerelease migrations when updating between prereleases', async () => {
+            expect(await migrate('2.0.0-next.1', '2.0.0-rc.2')).toEqual([
+                'migration-01',
+                'migration-02',
+                'migration-04',
+                'migration-07',
+            ]);
+        });
+        it('runs prerelease range migrations only between prereleases', async () => {
+            expect(await migrate('2.0.0-alpha.0', '2.0.0-next.5')).toEqual(['migration-06']);
+            expect(await migrate('1.5.0', '2.0.0-next.5')).toEqual([]);
+        });
+        it('runs range migrations once when updating through the prereleases', async () => {
+            expect(await migrate('2.0.0-rc.3', '2.0.0')).toEqual([
+                'migration-00',
+                'migration-03',
+                'migration-05',
+            ]);
+        });
+        it('does not run stable migrations when updating to a prerelease', async () => {
+            expect(await migrate('1.5.0', '2.0.0-rc.2')).not.toContain('migration-05');
+        });
+    });
+    describe('with resume', () => {
+        function migrate(tree) {
+            return schematicRunner.runSchematicAsync('migrate', {
+                package: 'test',
+                collection: __dirname + '/test/migration.json',
+                from: '0.5.0',
+                to: '1.0.0',
+                resume: true,
+            }, tree).toPromise();
+        }
+        let appTree;
+        beforeEach(() => {
+            appTree = new testing_1.UnitTestTree(new schematics_1.HostTree());
+            appTree.create('/package.json', JSON.stringify({ dependencies: { test: '^1.0.0' } }));
+            appTree.create('/package-lock.json', JSON.stringify({ lockfileVersion: 2, packages: {} }));
+        });
+        it('skips the migrations that already completed', async () => {
+            let tree = await migrate(appTree);
+            const migrations = JSON.parse(tree.readContent('/migrations'));
+            expect(migrations.length).toBeGreaterThan(0);
+            tree = await migrate(tree);
+            expect(JSON.parse(tree.readContent('/migrations'))).toEqual(migrations);
+            expect(tree.readContent('/.ng-update/.gitignore')).toContain('*');
+        });
+        it('refuses to resume once package.json or the lockfile changed', async () => {
+            const tree = await migrate(appTree);
+            tree.overwrite('/package-lock.json', JSON.stringify({ lockfileVersion: 2, packages: { '': {} } }));
+            await expectAsync(migrate(tree)).toBeRejectedWithError(/Cannot resume the migrations of package 'test': package-lock\.json changed/);
+        });
+    });
+});
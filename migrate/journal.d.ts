@@ -0,0 +1,28 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Tree } from '@angular-devkit/schematics';
+/**
+ * The directory of the journals of the update, next to the lockfile. They are not kept in
+ * `node_modules`, which installing the packages can delete, while recovering from an interrupted
+ * update depends on them.
+ */
+export declare const journalDirectory = "/.ng-update";
+/**
+ * Writes a journal. The journal directory ignores its own files, so that journals are never
+ * committed.
+ */
+export declare function writeJournal(tree: Tree, journalPath: string, content: string): void;
+/**
+ * Deletes a journal, and the journal directory once no journal is left.
+ */
+export declare function deleteJournal(tree: Tree, journalPath: string): void;
+/**
+ * Deletes a journal from the workspace on disk rather than through the tree, for the steps that
+ * fail afterwards: the changes made to the tree by a failing schematic are discarded.
+ */
+export declare function deleteJournalFile(journalPath: string): void;
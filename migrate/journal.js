@@ -0,0 +1,68 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.deleteJournalFile = exports.deleteJournal = exports.writeJournal = exports.journalDirectory = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const fs_1 = require("fs");
+const path = require("path");
+/**
+ * The directory of the journals of the update, next to the lockfile. They are not kept in
+ * `node_modules`, which installing the packages can delete, while recovering from an interrupted
+ * update depends on them.
+ */
+exports.journalDirectory = '/.ng-update';
+const ignoreFilePath = `${exports.journalDirectory}/.gitignore`;
+/**
+ * Writes a journal. The journal directory ignores its own files, so that journals are never
+ * committed.
+ */
+function writeJournal(tree, journalPath, content) {
+    if (!tree.exists(ignoreFilePath)) {
+        tree.create(ignoreFilePath, '# Journals of ng update, which only matter to this checkout.\n*\n');
+    }
+    if (tree.exists(journalPath)) {
+        tree.overwrite(journalPath, content);
+    }
+    else {
+        tree.create(journalPath, content);
+    }
+}
+exports.writeJournal = writeJournal;
+/**
+ * Deletes a journal, and the journal directory once no journal is left.
+ */
+function deleteJournal(tree, journalPath) {
+    if (tree.exists(journalPath)) {
+        tree.delete(journalPath);
+    }
+    const journalDir = tree.getDir(exports.journalDirectory);
+    if (journalDir.subdirs.length == 0
+        && journalDir.subfiles.every(file => `${exports.journalDirectory}/${file}` == ignoreFilePath)
+        && tree.exists(ignoreFilePath)) {
+        tree.delete(ignoreFilePath);
+    }
+}
+exports.deleteJournal = deleteJournal;
+/**
+ * Deletes a journal from the workspace on disk rather than through the tree, for the steps that
+ * fail afterwards: the changes made to the tree by a failing schematic are discarded.
+ */
+function deleteJournalFile(journalPath) {
+    const file = path.resolve(journalPath.replace(/^\//, ''));
+    if (fs_1.existsSync(file)) {
+        fs_1.unlinkSync(file);
+    }
+    const dir = path.resolve(exports.journalDirectory.substr(1));
+    if (fs_1.existsSync(dir) && fs_1.readdirSync(dir).every(name => name == '.gitignore')) {
+        if (fs_1.existsSync(path.join(dir, '.gitignore'))) {
+            fs_1.unlinkSync(path.join(dir, '.gitignore'));
+        }
+        fs_1.rmdirSync(dir);
+    }
+}
+exports.deleteJournalFile = deleteJournalFile;
@@ -0,0 +1,49 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { logging } from '@angular-devkit/core';
+import { Tree } from '@angular-devkit/schematics';
+export interface CompletedMigration {
+    package: string;
+    collection: string;
+    name: string;
+    version: string;
+    from: string;
+    to: string;
+    timestamp: string;
+    /**
+     * The SHA-256 hashes of package.json and the lockfile once the migration completed, keyed by
+     * their path.
+     */
+    manifests?: {
+        [path: string]: string;
+    };
+}
+/**
+ * Where the migrations that completed are recorded.
+ */
+export declare const progressJournalPath = "/.ng-update/progress.json";
+/**
+ * Reads the migrations that completed from the progress journal.
+ */
+export declare function readProgress(tree: Tree, logger: logging.LoggerApi): CompletedMigration[];
+/**
+ * Appends a migration that completed to the progress journal, along with the hashes of package.json
+ * and the lockfile once it completed. As the journal is written through the tree, it is only
+ * committed along with the changes of the migration.
+ */
+export declare function recordMigration(tree: Tree, logger: logging.LoggerApi, migration: Omit<CompletedMigration, 'timestamp' | 'manifests'>): void;
+/**
+ * Returns whether a migration already completed when migrating the same package between the same
+ * versions.
+ */
+export declare function isMigrationCompleted(completed: CompletedMigration[], migration: Omit<CompletedMigration, 'collection' | 'timestamp' | 'manifests'>): boolean;
+/**
+ * Returns the files among package.json and the lockfile that changed since a migration completed.
+ * Migrations recorded without hashes cannot be verified, so every file is considered changed.
+ */
+export declare function getChangedManifests(tree: Tree, migration: CompletedMigration): string[];
@@ -0,0 +1,85 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.getChangedManifests = exports.isMigrationCompleted = exports.recordMigration = exports.readProgress = exports.progressJournalPath = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const crypto_1 = require("crypto");
+const lockfile_1 = require("../update/lockfile");
+const journal_1 = require("./journal");
+/**
+ * Where the migrations that completed are recorded.
+ */
+exports.progressJournalPath = '/.ng-update/progress.json';
+/**
+ * Hashes package.json and the lockfile, which determine the migrations to run.
+ */
+function _hashManifests(tree) {
+    const manifests = {};
+    for (const path of ['/package.json', ...lockfile_1.lockfilePaths]) {
+        const content = tree.read(path);
+        if (content) {
+            manifests[path] = crypto_1.createHash('sha256').update(content).digest('hex');
+        }
+    }
+    return manifests;
+}
+/**
+ * Reads the migrations that completed from the progress journal.
+ */
+function readProgress(tree, logger) {
+    const content = tree.read(exports.progressJournalPath);
+    if (!content) {
+        return [];
+    }
+    try {
+        const progress = JSON.parse(content.toString());
+        if (progress && Array.isArray(progress.migrations)) {
+            return progress.migrations;
+        }
+    }
+    catch (_a) { }
+    logger.warn(`The progress journal ${exports.progressJournalPath} is malformed. Ignoring.`);
+    return [];
+}
+exports.readProgress = readProgress;
+/**
+ * Appends a migration that completed to the progress journal, along with the hashes of package.json
+ * and the lockfile once it completed. As the journal is written through the tree, it is only
+ * committed along with the changes of the migration.
+ */
+function recordMigration(tree, logger, migration) {
+    const migrations = [
+        ...readProgress(tree, logger),
+        { ...migration, timestamp: new Date().toISOString(), manifests: _hashManifests(tree) },
+    ];
+    journal_1.writeJournal(tree, exports.progressJournalPath, JSON.stringify({ migrations }, null, 2));
+}
+exports.recordMigration = recordMigration;
+/**
+ * Returns whether a migration already completed when migrating the same package between the same
+ * versions.
+ */
+function isMigrationCompleted(completed, migration) {
+    return completed.some(entry => entry.package == migration.package
+        && entry.name == migration.name
+        && entry.version == migration.version
+        && entry.from == migration.from
+        && entry.to == migration.to);
+}
+exports.isMigrationCompleted = isMigrationCompleted;
+/**
+ * Returns the files among package.json and the lockfile that changed since a migration completed.
+ * Migrations recorded without hashes cannot be verified, so every file is considered changed.
+ */
+function getChangedManifests(tree, migration) {
+    const recorded = migration.manifests || {};
+    const current = _hashManifests(tree);
+    const paths = new Set([...Object.keys(recorded), ...Object.keys(current)]);
+    return [...paths].filter(path => recorded[path] !== current[path]).map(path => path.substr(1));
+}
+exports.getChangedManifests = getChangedManifests;
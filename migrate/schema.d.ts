@@ -1,18 +1,70 @@
 export interface Schema {
+    /**
+     * A file in which the answers are saved when interactive, and from which they are replayed
+     * otherwise.
+     */
+    choicesFile?: string;
     /**
      * The collection to load the migrations from.
      */
     collection: string;
+    /**
+     * Keep running the next migrations when a migration fails, and list the migrations that
+     * failed at the end, then fail. Ignored in transactional updates, which are reverted when a migration
+     * fails.
+     */
+    continueOnError?: boolean;
+    /**
+     * Internal, only set by the migrate schematic itself: fails with this message and runs no
+     * migration. Reports the migrations that failed with `continueOnError` from a task of its own,
+     * as failing the run that continued would discard the changes of the migrations that
+     * completed.
+     */
+    error?: string;
     /**
      * The version installed previously.
      */
     from: string;
+    /**
+     * Ask whether to run each optional migration.
+     */
+    interactive?: boolean;
+    /**
+     * List the migrations of the collection instead of running them.
+     */
+    list?: boolean;
+    /**
+     * The names of the migrations to run, regardless of the versions to migrate between. They
+     * run in the order of their versions.
+     */
+    names?: string[];
     /**
      * The package to migrate.
      */
     package: string;
+    /**
+     * The package manager that reinstalls the original packages when a migration fails in a
+     * transactional update.
+     */
+    packageManager?: string;
+    /**
+     * A markdown (.md) or JSON (.json) file to which the files changed by each migration are
+     * added.
+     */
+    report?: string;
+    /**
+     * Skip the migrations that already completed when migrating the same package between the
+     * same versions, as recorded in '.ng-update/progress.json'. Fails if package.json or the
+     * lockfile changed since then.
+     */
+    resume?: boolean;
     /**
      * The version to migrate to.
      */
     to: string;
+    /**
+     * The journal of the transactional update this migration is part of. The files changed by
+     * the migrations are recorded in it, and restored if a migration fails.
+     */
+    transaction?: string;
 }
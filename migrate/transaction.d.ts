@@ -0,0 +1,60 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Tree } from '@angular-devkit/schematics';
+export interface Transaction {
+    /**
+     * The original content of every file changed during the update, encoded as base64, or null if
+     * the file did not exist.
+     */
+    files: {
+        [path: string]: string | null;
+    };
+    /**
+     * The packages being updated, mapped to the version they are updated to.
+     */
+    packages: {
+        [name: string]: string;
+    };
+    /**
+     * The packages whose migrations have not completed yet.
+     */
+    pending: string[];
+    /**
+     * Why the update was reverted, once it was. The remaining steps of the update are skipped.
+     */
+    error?: string;
+}
+/**
+ * Where the journal of a transactional update is kept while the update is in progress.
+ */
+export declare const transactionJournalPath = "/.ng-update/transaction.json";
+/**
+ * Reads the journal of a transactional update.
+ * @returns The transaction, or undefined if there is no journal.
+ */
+export declare function readTransaction(tree: Tree, path?: string): Transaction | undefined;
+export declare function writeTransaction(tree: Tree, transaction: Transaction, path?: string): void;
+/**
+ * Records the original content of the given files in the transaction, unless it was already
+ * recorded. Files that don't exist are recorded as such, so they are deleted on rollback.
+ * Contents are stored as base64 so binary files are restored as is.
+ * @param original The tree before any change was made to the files.
+ */
+export declare function recordOriginals(transaction: Transaction, original: Tree, paths: Iterable<string>): void;
+/**
+ * Restores every file recorded in the transaction to its original content, and deletes the
+ * journal.
+ */
+export declare function rollbackTransaction(tree: Tree, transaction: Transaction, path?: string): void;
+/**
+ * Restores every file recorded in the transaction to its original content while the update is
+ * running, and records why in the journal. The journal is kept so that the steps of the update
+ * that are still queued skip their work; the last step deletes it and reports the error.
+ */
+export declare function revertTransaction(tree: Tree, transaction: Transaction, error: string, path?: string): void;
+export declare function deleteTransaction(tree: Tree, path?: string): void;
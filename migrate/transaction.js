@@ -0,0 +1,97 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.deleteTransaction = exports.revertTransaction = exports.rollbackTransaction = exports.recordOriginals = exports.writeTransaction = exports.readTransaction = exports.transactionJournalPath = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const schematics_1 = require("@angular-devkit/schematics");
+const journal_1 = require("./journal");
+/**
+ * Where the journal of a transactional update is kept while the update is in progress.
+ */
+exports.transactionJournalPath = '/.ng-update/transaction.json';
+/**
+ * Reads the journal of a transactional update.
+ * @returns The transaction, or undefined if there is no journal.
+ */
+function readTransaction(tree, path = exports.transactionJournalPath) {
+    const content = tree.read(path);
+    if (!content) {
+        return undefined;
+    }
+    let transaction;
+    try {
+        transaction = JSON.parse(content.toString());
+    }
+    catch (_a) { }
+    if (!transaction || typeof transaction != 'object'
+        || !transaction.files || typeof transaction.files != 'object'
+        || !Array.isArray(transaction.pending)) {
+        throw new schematics_1.SchematicsException(`The transaction journal ${path} is malformed. Delete it to continue.`);
+    }
+    return transaction;
+}
+exports.readTransaction = readTransaction;
+function writeTransaction(tree, transaction, path = exports.transactionJournalPath) {
+    journal_1.writeJournal(tree, path, JSON.stringify(transaction, null, 2));
+}
+exports.writeTransaction = writeTransaction;
+/**
+ * Records the original content of the given files in the transaction, unless it was already
+ * recorded. Files that don't exist are recorded as such, so they are deleted on rollback.
+ * Contents are stored as base64 so binary files are restored as is.
+ * @param original The tree before any change was made to the files.
+ */
+function recordOriginals(transaction, original, paths) {
+    for (const path of paths) {
+        if (path in transaction.files) {
+            continue;
+        }
+        const content = original.read(path);
+        transaction.files[path] = content ? content.toString('base64') : null;
+    }
+}
+exports.recordOriginals = recordOriginals;
+function _restoreOriginals(tree, transaction) {
+    for (const [file, content] of Object.entries(transaction.files)) {
+        if (content === null) {
+            if (tree.exists(file)) {
+                tree.delete(file);
+            }
+        }
+        else if (tree.exists(file)) {
+            tree.overwrite(file, Buffer.from(content, 'base64'));
+        }
+        else {
+            tree.create(file, Buffer.from(content, 'base64'));
+        }
+    }
+}
+/**
+ * Restores every file recorded in the transaction to its original content, and deletes the
+ * journal.
+ */
+function rollbackTransaction(tree, transaction, path = exports.transactionJournalPath) {
+    _restoreOriginals(tree, transaction);
+    deleteTransaction(tree, path);
+}
+exports.rollbackTransaction = rollbackTransaction;
+/**
+ * Restores every file recorded in the transaction to its original content while the update is
+ * running, and records why in the journal. The journal is kept so that the steps of the update
+ * that are still queued skip their work; the last step deletes it and reports the error.
+ */
+function revertTransaction(tree, transaction, error, path = exports.transactionJournalPath) {
+    _restoreOriginals(tree, transaction);
+    transaction.error = error;
+    writeTransaction(tree, transaction, path);
+}
+exports.revertTransaction = revertTransaction;
+function deleteTransaction(tree, path = exports.transactionJournalPath) {
+    journal_1.deleteJournal(tree, path);
+}
+exports.deleteTransaction = deleteTransaction;
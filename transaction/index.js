@@ -0,0 +1,78 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const schematics_1 = require("@angular-devkit/schematics");
+const tasks_1 = require("@angular-devkit/schematics/tasks");
+const child_process_1 = require("child_process");
+const journal_1 = require("../migrate/journal");
+const transaction_1 = require("../migrate/transaction");
+/**
+ * Runs the install command of a package manager in the workspace root.
+ * @returns The reason the install failed, or undefined if it succeeded.
+ */
+function _runInstall(packageManager) {
+    return new Promise(resolve => {
+        const child = child_process_1.spawn(packageManager, ['install'], { stdio: 'inherit', shell: true });
+        child.on('error', err => resolve(err.message));
+        child.on('close', code => resolve(code === 0 ? undefined : `'${packageManager} install' exited with code ${code}.`));
+    });
+}
+/**
+ * Installs the updated packages. Unlike the install task, a failure is caught: the update is
+ * reverted right away and the original packages are installed again.
+ */
+function _install(options) {
+    return async (tree, context) => {
+        const transaction = transaction_1.readTransaction(tree, options.transaction);
+        if (!transaction || transaction.error) {
+            return tree;
+        }
+        const packageManager = options.packageManager || 'npm';
+        context.logger.info(`Installing packages with ${packageManager}...`);
+        const error = await _runInstall(packageManager);
+        if (error) {
+            const message = `Installing the packages failed: ${error}`;
+            transaction_1.revertTransaction(tree, transaction, message, options.transaction);
+            context.logger.error(`${message} Reverting the update...`);
+            context.addTask(new tasks_1.NodePackageInstallTask({ packageManager, workingDirectory: '.' }));
+        }
+        return tree;
+    };
+}
+/**
+ * Ends the transactional update once every other step ran, whether it completed or was reverted.
+ * The journal is deleted so that later updates never restore its stale contents, and the update
+ * fails if it was reverted.
+ */
+function _finish(options) {
+    return (tree) => {
+        const transaction = transaction_1.readTransaction(tree, options.transaction);
+        if (transaction && transaction.error) {
+            // Failing discards the changes made to the tree, so the journal is deleted on disk.
+            journal_1.deleteJournalFile(options.transaction);
+            throw new schematics_1.SchematicsException(`${transaction.error} The update was reverted.`);
+        }
+        transaction_1.deleteTransaction(tree, options.transaction);
+        return tree;
+    };
+}
+function default_1(options) {
+    if (!options.transaction) {
+        throw new schematics_1.SchematicsException('The transaction option is required.');
+    }
+    switch (options.action) {
+        case 'install':
+            return _install(options);
+        case 'finish':
+            return _finish(options);
+        default:
+            throw new schematics_1.SchematicsException(`Invalid action: ${JSON.stringify(options.action)}`);
+    }
+}
+exports.default = default_1;
@@ -0,0 +1,60 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const schematics_1 = require("@angular-devkit/schematics");
+const testing_1 = require("@angular-devkit/schematics/testing");
+const fs_1 = require("fs");
+const os_1 = require("os");
+const path = require("path");
+const transaction_1 = require("../migrate/transaction");
+describe('@schematics/update:transaction', () => {
+    const schematicRunner = new testing_1.SchematicTestRunner('@schematics/update', require.resolve('../collection.json'));
+    let cwd;
+    let root;
+    let appTree;
+    beforeEach(() => {
+        // The journal is deleted on disk when the update failed, relative to the workspace root.
+        root = fs_1.realpathSync(fs_1.mkdtempSync(path.join(os_1.tmpdir(), 'angular-update-transaction-')));
+        cwd = process.cwd();
+        process.chdir(root);
+        appTree = new testing_1.UnitTestTree(new schematics_1.HostTree());
+    });
+    afterEach(() => {
+        process.chdir(cwd);
+        fs_1.rmSync(root, { recursive: true, force: true });
+    });
+    function writeTransaction(transaction) {
+        transaction_1.writeTransaction(appTree, transaction);
+        for (const file of ['/.ng-update/.gitignore', transaction_1.transactionJournalPath]) {
+            fs_1.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+            fs_1.writeFileSync(path.join(root, file), appTree.readContent(file));
+        }
+    }
+    function finish() {
+        return schematicRunner.runSchematicAsync('transaction', {
+            action: 'finish',
+            transaction: transaction_1.transactionJournalPath,
+        }, appTree).toPromise();
+    }
+    it('keeps the journal out of git', () => {
+        writeTransaction({ files: {}, packages: {}, pending: [] });
+        expect(appTree.readContent('/.ng-update/.gitignore')).toMatch(/^\*$/m);
+    });
+    it('deletes the journal once the update completed', async () => {
+        writeTransaction({ files: {}, packages: { test: '2.0.0' }, pending: [] });
+        const tree = await finish();
+        expect(tree.exists(transaction_1.transactionJournalPath)).toBe(false);
+        expect(tree.exists('/.ng-update/.gitignore')).toBe(false);
+    });
+    it('fails once the update was reverted, and deletes the journal', async () => {
+        writeTransaction({ files: {}, packages: { test: '2.0.0' }, pending: [], error: 'The migration failed.' });
+        await expectAsync(finish()).toBeRejectedWithError('The migration failed. The update was reverted.');
+        expect(fs_1.existsSync(path.join(root, '.ng-update'))).toBe(false);
+    });
+});
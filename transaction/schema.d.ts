@@ -0,0 +1,25 @@
+export interface Schema {
+    /**
+     * The step of the transactional update to run. 'install' installs the updated packages, and
+     * reverts the update right away if that fails. 'finish' runs last: it deletes the journal,
+     * and fails if the update was reverted.
+     */
+    action?: Action;
+    /**
+     * The package manager that installs the packages.
+     */
+    packageManager?: string;
+    /**
+     * The journal of the transactional update.
+     */
+    transaction?: string;
+}
+/**
+ * The step of the transactional update to run. 'install' installs the updated packages, and
+ * reverts the update right away if that fails. 'finish' runs last: it deletes the journal,
+ * and fails if the update was reverted.
+ */
+export declare enum Action {
+    Finish = "finish",
+    Install = "install"
+}
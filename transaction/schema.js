@@ -0,0 +1,15 @@
+"use strict";
+// THIS FILE IS AUTOMATICALLY GENERATED. TO UPDATE THIS FILE YOU NEED TO CHANGE THE
+// CORRESPONDING JSON SCHEMA FILE, THEN RUN devkit-admin build (or bazel build ...).
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.Action = void 0;
+/**
+ * The step of the transactional update to run. 'install' installs the updated packages, and
+ * reverts the update right away if that fails. 'finish' runs last: it deletes the journal,
+ * and fails if the update was reverted.
+ */
+var Action;
+(function (Action) {
+    Action["Finish"] = "finish";
+    Action["Install"] = "install";
+})(Action = exports.Action || (exports.Action = {}));
@@ -0,0 +1,34 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Tree } from '@angular-devkit/schematics';
+export interface UpdateChoices {
+    /**
+     * The packages to update, mapped to a version or a dist-tag.
+     */
+    packages: {
+        [name: string]: string;
+    };
+    /**
+     * Whether to run each optional migration, by package then by migration name.
+     */
+    migrations: {
+        [packageName: string]: {
+            [name: string]: boolean;
+        };
+    };
+}
+/**
+ * Reads the choices saved by an interactive update.
+ * @returns The choices, or undefined if the file doesn't exist.
+ */
+export declare function readChoices(tree: Tree, path: string): UpdateChoices | undefined;
+/**
+ * Saves the choices of an interactive update. The file is written outside of the tree, so that
+ * the answers are kept when the update fails afterwards.
+ */
+export declare function writeChoices(choicesPath: string, choices: UpdateChoices): void;
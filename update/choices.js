@@ -0,0 +1,48 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.writeChoices = exports.readChoices = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const schematics_1 = require("@angular-devkit/schematics");
+const fs_1 = require("fs");
+const path = require("path");
+/**
+ * Reads the choices saved by an interactive update.
+ * @returns The choices, or undefined if the file doesn't exist.
+ */
+function readChoices(tree, path) {
+    const content = tree.read(path);
+    if (!content) {
+        return undefined;
+    }
+    let choices;
+    try {
+        choices = JSON.parse(content.toString());
+    }
+    catch (_a) { }
+    if (!choices || typeof choices != 'object'
+        || (choices.packages && typeof choices.packages != 'object')
+        || (choices.migrations && typeof choices.migrations != 'object')) {
+        throw new schematics_1.SchematicsException(`The choices file ${path} is malformed.`);
+    }
+    return {
+        packages: choices.packages || {},
+        migrations: choices.migrations || {},
+    };
+}
+exports.readChoices = readChoices;
+/**
+ * Saves the choices of an interactive update. The file is written outside of the tree, so that
+ * the answers are kept when the update fails afterwards.
+ */
+function writeChoices(choicesPath, choices) {
+    const file = path.resolve(choicesPath.replace(/^\//, ''));
+    fs_1.mkdirSync(path.dirname(file), { recursive: true });
+    fs_1.writeFileSync(file, JSON.stringify(choices, null, 2) + '\n');
+}
+exports.writeChoices = writeChoices;
@@ -0,0 +1,14 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Creates a unified diff between two versions of a text file.
+ * @param {string} fileName The name of the file, used in the diff header.
+ * @param {number} context The number of unchanged lines to show around each change.
+ * @returns The diff, or an empty string if both contents are the same.
+ */
+export declare function createUnifiedDiff(fileName: string, oldContent: string, newContent: string, context?: number): string;
@@ -0,0 +1,103 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.createUnifiedDiff = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const noNewlineMarker = '\n\\ No newline at end of file';
+/**
+ * Splits a file into lines. A trailing newline ends the last line rather than starting an empty
+ * one; a last line without a newline carries the marker diff prints after it, so that it differs
+ * from the same line with a newline.
+ */
+function _splitLines(content) {
+    if (content == '') {
+        return [];
+    }
+    const lines = content.split(/\r?\n/);
+    if (lines[lines.length - 1] == '') {
+        lines.pop();
+    }
+    else {
+        lines[lines.length - 1] += noNewlineMarker;
+    }
+    return lines;
+}
+function _diffLines(oldLines, newLines) {
+    // Longest common subsequence table, filled from the end so the edit script can be read forward.
+    const lcs = [];
+    for (let i = oldLines.length; i >= 0; i--) {
+        lcs[i] = [];
+        for (let j = newLines.length; j >= 0; j--) {
+            if (i == oldLines.length || j == newLines.length) {
+                lcs[i][j] = 0;
+            }
+            else if (oldLines[i] === newLines[j]) {
+                lcs[i][j] = lcs[i + 1][j + 1] + 1;
+            }
+            else {
+                lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+    }
+    const edits = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+        if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+            edits.push({ kind: ' ', line: oldLines[i], oldIndex: i++, newIndex: j++ });
+        }
+        else if (i < oldLines.length && (j == newLines.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            edits.push({ kind: '-', line: oldLines[i], oldIndex: i++, newIndex: j });
+        }
+        else {
+            edits.push({ kind: '+', line: newLines[j], oldIndex: i, newIndex: j++ });
+        }
+    }
+    return edits;
+}
+/**
+ * Creates a unified diff between two versions of a text file.
+ * @param {string} fileName The name of the file, used in the diff header.
+ * @param {number} context The number of unchanged lines to show around each change.
+ * @returns The diff, or an empty string if both contents are the same.
+ */
+function createUnifiedDiff(fileName, oldContent, newContent, context = 3) {
+    const edits = _diffLines(_splitLines(oldContent), _splitLines(newContent));
+    const hunks = [];
+    let current;
+    let lastChange = -Infinity;
+    edits.forEach((edit, index) => {
+        if (edit.kind == ' ') {
+            return;
+        }
+        const start = Math.max(0, index - context);
+        if (current && start <= lastChange + context + 1) {
+            current.end = index;
+        }
+        else {
+            current = { start, end: index };
+            hunks.push(current);
+        }
+        lastChange = index;
+    });
+    if (hunks.length == 0) {
+        return '';
+    }
+    const lines = [`--- a/${fileName}`, `+++ b/${fileName}`];
+    for (const hunk of hunks) {
+        const hunkEdits = edits.slice(hunk.start, Math.min(edits.length, hunk.end + context + 1));
+        const oldCount = hunkEdits.filter(edit => edit.kind != '+').length;
+        const newCount = hunkEdits.filter(edit => edit.kind != '-').length;
+        const oldStart = hunkEdits[0].oldIndex + (oldCount > 0 ? 1 : 0);
+        const newStart = hunkEdits[0].newIndex + (newCount > 0 ? 1 : 0);
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        lines.push(...hunkEdits.map(edit => edit.kind + edit.line));
+    }
+    return lines.join('\n');
+}
+exports.createUnifiedDiff = createUnifiedDiff;
@@ -0,0 +1,51 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * The properties of the errors of 'npm-registry-fetch' that are used to decide whether to retry.
+ */
+export interface FetchError extends Error {
+    statusCode?: number;
+    code?: string;
+    type?: string;
+    headers?: {
+        [name: string]: string | string[];
+    };
+    /**
+     * The number of attempts made before giving up, set by the scheduler.
+     */
+    attempts?: number;
+}
+/**
+ * Returns whether a failed request may succeed if it is made again: the registry is rate limiting
+ * or failing, or the connection failed or timed out.
+ */
+export declare function isRetryableError(err: FetchError): boolean;
+/**
+ * Returns the time to wait before retrying a request, in milliseconds. The `Retry-After` header
+ * of the response is honored, in seconds or as a date; otherwise the delay doubles on each
+ * attempt. The delay never exceeds a minute.
+ * @param attempt The number of attempts already made, starting at 1.
+ */
+export declare function getRetryDelay(err: FetchError, attempt: number, minDelay: number): number;
+export declare type FetchScheduler = <T>(name: string, request: () => Promise<T>) => Promise<T>;
+/**
+ * Creates a scheduler that runs requests with a limited concurrency, and retries the ones that
+ * fail with a retryable error.
+ * @param options.concurrency The number of requests running at the same time.
+ * @param options.retries The number of times a failed request is made again.
+ * @param options.minRetryDelay The delay before the first retry, in milliseconds.
+ * @param options.onRetry Called before waiting to retry a request. If it throws, the request
+ *     rejects with that error.
+ * @returns A function running a request, which resolves or rejects with the last attempt.
+ */
+export declare function createFetchScheduler(options?: {
+    concurrency?: number;
+    retries?: number;
+    minRetryDelay?: number;
+    onRetry?: (name: string, err: FetchError, attempt: number, delay: number) => void;
+}): FetchScheduler;
@@ -0,0 +1,103 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.createFetchScheduler = exports.getRetryDelay = exports.isRetryableError = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const retryableCodes = ['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const maxRetryDelay = 60 * 1000;
+/**
+ * Returns whether a failed request may succeed if it is made again: the registry is rate limiting
+ * or failing, or the connection failed or timed out.
+ */
+function isRetryableError(err) {
+    if (!err || typeof err != 'object') {
+        return false;
+    }
+    if (err.statusCode) {
+        return err.statusCode == 408 || err.statusCode == 429 || err.statusCode >= 500;
+    }
+    return retryableCodes.includes(err.code) || err.type == 'request-timeout' || err.type == 'body-timeout';
+}
+exports.isRetryableError = isRetryableError;
+/**
+ * Returns the time to wait before retrying a request, in milliseconds. The `Retry-After` header
+ * of the response is honored, in seconds or as a date; otherwise the delay doubles on each
+ * attempt. The delay never exceeds a minute.
+ * @param attempt The number of attempts already made, starting at 1.
+ */
+function getRetryDelay(err, attempt, minDelay) {
+    const headers = err.headers || {};
+    const retryAfterHeader = headers['retry-after'];
+    const retryAfter = Array.isArray(retryAfterHeader) ? retryAfterHeader[0] : retryAfterHeader;
+    let delay = minDelay * Math.pow(2, attempt - 1);
+    if (retryAfter !== undefined) {
+        const seconds = Number(retryAfter);
+        const date = Date.parse(retryAfter);
+        if (!isNaN(seconds)) {
+            delay = seconds * 1000;
+        }
+        else if (!isNaN(date)) {
+            delay = date - Date.now();
+        }
+    }
+    return Math.min(Math.max(delay, 0), maxRetryDelay);
+}
+exports.getRetryDelay = getRetryDelay;
+/**
+ * Creates a scheduler that runs requests with a limited concurrency, and retries the ones that
+ * fail with a retryable error.
+ * @param options.concurrency The number of requests running at the same time.
+ * @param options.retries The number of times a failed request is made again.
+ * @param options.minRetryDelay The delay before the first retry, in milliseconds.
+ * @param options.onRetry Called before waiting to retry a request. If it throws, the request
+ *     rejects with that error.
+ * @returns A function running a request, which resolves or rejects with the last attempt.
+ */
+function createFetchScheduler(options = {}) {
+    const concurrency = Math.max(options.concurrency || 8, 1);
+    const retries = options.retries === undefined ? 3 : options.retries;
+    const minRetryDelay = options.minRetryDelay === undefined ? 1000 : options.minRetryDelay;
+    const queue = [];
+    let running = 0;
+    const next = () => {
+        while (running < concurrency && queue.length > 0) {
+            const start = queue.shift();
+            running++;
+            start().then(() => {
+                running--;
+                next();
+            });
+        }
+    };
+    const run = async (name, request) => {
+        for (let attempt = 1;; attempt++) {
+            try {
+                return await request();
+            }
+            catch (err) {
+                if (attempt > retries || !isRetryableError(err)) {
+                    if (err && typeof err == 'object') {
+                        err.attempts = attempt;
+                    }
+                    throw err;
+                }
+                const delay = getRetryDelay(err, attempt, minRetryDelay);
+                if (options.onRetry) {
+                    options.onRetry(name, err, attempt, delay);
+                }
+                await new Promise(resolveDelay => setTimeout(resolveDelay, delay));
+            }
+        }
+    };
+    return (name, request) => new Promise((resolve, reject) => {
+        // Settling never throws, so the request always frees its slot.
+        queue.push(() => run(name, request).then(resolve, reject));
+        next();
+    });
+}
+exports.createFetchScheduler = createFetchScheduler;
@@ -0,0 +1,118 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const http = require("http");
+const npmFetch = require("npm-registry-fetch");
+const fetch_scheduler_1 = require("./fetch-scheduler");
+describe('createFetchScheduler', () => {
+    let server;
+    let registry;
+    let requests;
+    beforeEach(async () => {
+        requests = {};
+        server = http.createServer((req, res) => {
+            const url = req.url || '';
+            requests[url] = (requests[url] || 0) + 1;
+            switch (url) {
+                case '/rate-limited':
+                    if (requests[url] == 1) {
+                        res.writeHead(429, { 'Retry-After': '1' });
+                        res.end();
+                        return;
+                    }
+                    break;
+                case '/failing':
+                    res.writeHead(500);
+                    res.end();
+                    return;
+                case '/slow':
+                    setTimeout(() => {
+                        res.writeHead(200, { 'Content-Type': 'application/json' });
+                        res.end('{}');
+                    }, 500);
+                    return;
+                case '/not-found':
+                    res.writeHead(404);
+                    res.end();
+                    return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end('{"ok":true}');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const address = server.address();
+        registry = `http://127.0.0.1:${address.port}/`;
+    });
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+    function fetch(path, timeout = 0) {
+        return npmFetch.json(path, { registry, retry: { retries: 0 }, timeout });
+    }
+    it('waits as long as Retry-After asks when rate limited', async () => {
+        const delays = [];
+        const schedule = fetch_scheduler_1.createFetchScheduler({
+            onRetry: (name, err, attempt, delay) => delays.push(delay),
+        });
+        const start = Date.now();
+        expect(await schedule('rate-limited', () => fetch('/rate-limited'))).toEqual({ ok: true });
+        expect(delays).toEqual([1000]);
+        expect(Date.now() - start).toBeGreaterThanOrEqual(1000);
+        expect(requests['/rate-limited']).toBe(2);
+    });
+    it('gives up on server errors after the retries', async () => {
+        const schedule = fetch_scheduler_1.createFetchScheduler({ retries: 2, minRetryDelay: 1 });
+        const err = await schedule('failing', () => fetch('/failing')).then(() => undefined, e => e);
+        expect(err.statusCode).toBe(500);
+        expect(err.attempts).toBe(3);
+        expect(requests['/failing']).toBe(3);
+    });
+    it('retries requests that time out', async () => {
+        const schedule = fetch_scheduler_1.createFetchScheduler({ retries: 1, minRetryDelay: 1 });
+        const err = await schedule('slow', () => fetch('/slow', 100)).then(() => undefined, e => e);
+        expect(err.type).toBe('request-timeout');
+        expect(err.attempts).toBe(2);
+        expect(requests['/slow']).toBe(2);
+    });
+    it('does not retry other errors', async () => {
+        const schedule = fetch_scheduler_1.createFetchScheduler({ minRetryDelay: 1 });
+        const err = await schedule('not-found', () => fetch('/not-found')).then(() => undefined, e => e);
+        expect(err.statusCode).toBe(404);
+        expect(err.attempts).toBe(1);
+    });
+    it('limits the number of requests running at the same time', async () => {
+        const schedule = fetch_scheduler_1.createFetchScheduler({ concurrency: 2 });
+        let running = 0;
+        let maxRunning = 0;
+        const request = async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            running--;
+        };
+        await Promise.all([1, 2, 3, 4, 5].map(x => schedule(`${x}`, request)));
+        expect(maxRunning).toBe(2);
+    });
+    it('settles requests that reject with something other than an error', async () => {
+        const schedule = fetch_scheduler_1.createFetchScheduler({ concurrency: 1 });
+        await expectAsync(schedule('a', () => Promise.reject('failed'))).toBeRejectedWith('failed');
+        await expectAsync(schedule('b', () => Promise.resolve('done'))).toBeResolvedTo('done');
+    });
+    it('rejects the request and frees its slot when onRetry throws', async () => {
+        const schedule = fetch_scheduler_1.createFetchScheduler({
+            concurrency: 1,
+            minRetryDelay: 1,
+            onRetry: () => {
+                throw new Error('onRetry failed');
+            },
+        });
+        await expectAsync(schedule('failing', () => fetch('/failing'))).toBeRejectedWithError('onRetry failed');
+        expect(await schedule('ok', () => fetch('/ok'))).toEqual({ ok: true });
+    });
+});
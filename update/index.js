@@ -11,9 +11,24 @@ exports.angularMajorCompatGuarantee = void 0;
 const core_1 = require("@angular-devkit/core");
 const schematics_1 = require("@angular-devkit/schematics");
 const tasks_1 = require("@angular-devkit/schematics/tasks");
+const fs_1 = require("fs");
 const npa = require("npm-package-arg");
+const os_1 = require("os");
+const path = require("path");
 const semver = require("semver");
+const index_1 = require("../migrate/index");
+const transaction_1 = require("../migrate/transaction");
+const choices_1 = require("./choices");
+const diff_1 = require("./diff");
+const interactive_1 = require("./interactive");
+const json_edit_1 = require("./json-edit");
+const lockfile_1 = require("./lockfile");
+const non_registry_1 = require("./non-registry");
 const npm_1 = require("./npm");
+const package_manager_1 = require("./package-manager");
+const resolver_1 = require("./resolver");
+const save_prefix_1 = require("./save-prefix");
+const workspaces_1 = require("./workspaces");
 // Angular guarantees that a major is compatible with its following major (so packages that depend
 // on Angular 5 are also compatible with Angular 6). This is, in code, represented by verifying
 // that all other packages that have a peer dependency of `"@angular/core": "^5.0.0"` actually
@@ -43,37 +58,169 @@ function angularMajorCompatGuarantee(range) {
     return semver.validRange(newRange) || range;
 }
 exports.angularMajorCompatGuarantee = angularMajorCompatGuarantee;
-// This is a map of packageGroupName to range extending function. If it isn't found, the range is
-// kept the same.
-const knownPeerCompatibleList = {
-    '@angular/core': angularMajorCompatGuarantee,
+// Compatibility rules that apply even if no package declares them. Projects can declare more in
+// their `.ng-update.json` file, where `ignorePeerDependenciesOf` lists the packages whose peer
+// dependencies are not validated at all. Packages can declare rules in the `peerCompatibility` and
+// `ignorePeerDependencies` fields of their `ng-update` metadata: the range extensions apply to their
+// own peer dependencies and, for their package group, to the packages depending on them, and
+// `ignorePeerDependencies` lists their own peers that are not validated.
+const defaultPeerCompatibility = {
+    // This is a map of packageGroupName to range extension. If it isn't found, the range is kept
+    // the same. `nextMajor` adds the next major version to the range, other values are ranges to
+    // add, and `none` removes an extension.
+    peerCompatibility: {
+        '@angular/core': 'nextMajor',
+    },
+    // Packages whose peer dependencies are not validated.
+    ignorePeerDependenciesOf: [
+        // This package is deprecated and is removed via a migration.
+        '@angular-devkit/build-ng-packagr',
+    ],
 };
-function _updatePeerVersion(infoMap, name, range) {
+/**
+ * Validates the `peerCompatibility` field and a list of ignored packages of an `ng-update` metadata
+ * or of a `.ng-update.json` file. Malformed fields are ignored with a warning.
+ * @param ignoreField `ignorePeerDependencies` for a package, `ignorePeerDependenciesOf` for the
+ *     project.
+ */
+function _getPeerCompatibilityMetadata(metadata, ignoreField, source, logger) {
+    const result = {
+        peerCompatibility: {},
+        [ignoreField]: [],
+    };
+    const peerCompatibility = metadata['peerCompatibility'];
+    if (peerCompatibility !== undefined) {
+        if (typeof peerCompatibility != 'object'
+            || !peerCompatibility
+            || Array.isArray(peerCompatibility)
+            || Object.values(peerCompatibility).some(x => typeof x != 'string'
+                || (x != 'nextMajor' && x != 'none' && !semver.validRange(x)))) {
+            logger.warn(`peerCompatibility metadata of ${source} is malformed. Ignoring.`);
+        }
+        else {
+            result.peerCompatibility = peerCompatibility;
+        }
+    }
+    const ignored = metadata[ignoreField];
+    if (ignored !== undefined) {
+        if (!Array.isArray(ignored) || ignored.some(x => typeof x != 'string')) {
+            logger.warn(`${ignoreField} metadata of ${source} is malformed. Ignoring.`);
+        }
+        else {
+            result[ignoreField] = ignored;
+        }
+    }
+    return result;
+}
+/**
+ * Merges compatibility rules in order; later sources take precedence.
+ */
+function _createCompatibilityRules(sources = []) {
+    const rules = {
+        peerCompatibility: new Map(),
+        ignorePeerDependencies: new Set(),
+        ignorePeerDependenciesOf: new Set(),
+    };
+    for (const source of sources) {
+        for (const [name, extension] of Object.entries(source.peerCompatibility)) {
+            rules.peerCompatibility.set(name, extension);
+        }
+        (source.ignorePeerDependencies || []).forEach(name => rules.ignorePeerDependencies.add(name));
+        (source.ignorePeerDependenciesOf || []).forEach(name => rules.ignorePeerDependenciesOf.add(name));
+    }
+    return rules;
+}
+/**
+ * Collects the compatibility rules of the project and of every package. The rules of a package
+ * apply to its own peer dependencies and, for the range extension of its own package group, to the
+ * packages depending on it, so that a package cannot loosen the validation of unrelated packages.
+ * The rules of its target version take precedence over those of its installed version.
+ */
+function _getPeerCompatibility(tree, infoMap, logger) {
+    let project = _createCompatibilityRules();
+    const configContent = tree.read('/.ng-update.json');
+    if (configContent) {
+        try {
+            project = _createCompatibilityRules([
+                _getPeerCompatibilityMetadata(JSON.parse(configContent.toString()), 'ignorePeerDependenciesOf', '.ng-update.json', logger),
+            ]);
+        }
+        catch (e) {
+            logger.warn(`.ng-update.json could not be parsed: ${e.message}. Ignoring.`);
+        }
+    }
+    const packages = new Map();
+    const groups = _createCompatibilityRules();
+    for (const info of infoMap.values()) {
+        const rules = _createCompatibilityRules(info.target
+            ? [info.installed.updateMetadata, info.target.updateMetadata]
+            : [info.installed.updateMetadata]);
+        packages.set(info.name, rules);
+        const group = _getPackageGroupName(info);
+        if (rules.peerCompatibility.has(group)) {
+            groups.peerCompatibility.set(group, rules.peerCompatibility.get(group));
+        }
+    }
+    return {
+        defaults: _createCompatibilityRules([defaultPeerCompatibility]),
+        project,
+        packages,
+        groups,
+    };
+}
+/**
+ * Returns the name of the package group of a package, or its name if it has no group.
+ */
+function _getPackageGroupName(info) {
+    const updateMetadata = info.target ? info.target.updateMetadata : info.installed.updateMetadata;
+    return updateMetadata.packageGroupName || info.name;
+}
+/**
+ * Returns whether the peer dependency of a package is not validated, because the package is
+ * ignored by default or by the project, or because the package itself ignores that peer.
+ */
+function _isPeerIgnored(compatibility, name, peer) {
+    const packageRules = compatibility.packages.get(name);
+    return compatibility.defaults.ignorePeerDependenciesOf.has(name)
+        || compatibility.project.ignorePeerDependenciesOf.has(name)
+        || (!!packageRules && packageRules.ignorePeerDependencies.has(peer));
+}
+/**
+ * Extends the range of a peer dependency with the compatibility rule of the peer. The rules of the
+ * project take precedence over those of the dependent package, those over the rules the package
+ * group of the peer declares for itself, and those over the defaults.
+ * @param dependent The package declaring the peer dependency.
+ */
+function _updatePeerVersion(infoMap, name, range, compatibility, dependent) {
     // Resolve packageGroupName.
     const maybePackageInfo = infoMap.get(name);
     if (!maybePackageInfo) {
         return range;
     }
-    if (maybePackageInfo.target) {
-        name = maybePackageInfo.target.updateMetadata.packageGroupName || name;
+    name = _getPackageGroupName(maybePackageInfo);
+    const rules = [
+        compatibility.project,
+        compatibility.packages.get(dependent),
+        compatibility.groups,
+        compatibility.defaults,
+    ].find(x => !!x && x.peerCompatibility.has(name));
+    const extension = rules && rules.peerCompatibility.get(name);
+    if (!extension || extension == 'none') {
+        return range;
     }
-    else {
-        name = maybePackageInfo.installed.updateMetadata.packageGroupName || name;
+    else if (extension == 'nextMajor') {
+        return angularMajorCompatGuarantee(range);
     }
-    const maybeTransform = knownPeerCompatibleList[name];
-    if (maybeTransform) {
-        if (typeof maybeTransform == 'function') {
-            return maybeTransform(range);
-        }
-        else {
-            return maybeTransform;
-        }
+    else {
+        return semver.validRange(`${range} || ${extension}`) || range;
     }
-    return range;
 }
-function _validateForwardPeerDependencies(name, infoMap, peers, peersMeta, logger, next) {
+function _validateForwardPeerDependencies(name, infoMap, peers, peersMeta, logger, next, conflicts, compatibility) {
     let validationFailed = false;
     for (const [peer, range] of Object.entries(peers)) {
+        if (_isPeerIgnored(compatibility, name, peer)) {
+            continue;
+        }
         logger.debug(`Checking forward peer ${peer}...`);
         const maybePeerInfo = infoMap.get(peer);
         const isOptional = peersMeta[peer] && !!peersMeta[peer].optional;
@@ -96,13 +243,15 @@ function _validateForwardPeerDependencies(name, infoMap, peers, peersMeta, logge
                 `${JSON.stringify(peer)} (requires ${JSON.stringify(range)},`,
                 `would install ${JSON.stringify(peerVersion)})`,
             ].join(' '));
+            conflicts.push({ type: 'forward', package: name, peer, range, version: peerVersion });
             validationFailed = true;
             continue;
         }
     }
     return validationFailed;
 }
-function _validateReversePeerDependencies(name, version, infoMap, logger, next) {
+function _validateReversePeerDependencies(name, version, infoMap, logger, next, conflicts, compatibility) {
+    let validationFailed = false;
     for (const [installed, installedInfo] of infoMap.entries()) {
         const installedLogger = logger.createChild(installed);
         installedLogger.debug(`${installed}...`);
@@ -113,13 +262,11 @@ function _validateReversePeerDependencies(name, version, infoMap, logger, next)
                 // that are unmet but we have no effect on.
                 continue;
             }
-            if (installed === '@angular-devkit/build-ng-packagr') {
-                // Ignore peerDependencies mismatches for `@angular-devkit/build-ng-packagr`.
-                // This package is deprecated and is removed via a migration.
+            if (_isPeerIgnored(compatibility, installed, peer)) {
                 continue;
             }
             // Override the peer version range if it's known as a compatible.
-            const extendedRange = _updatePeerVersion(infoMap, peer, range);
+            const extendedRange = _updatePeerVersion(infoMap, peer, range, compatibility, installed);
             if (!semver.satisfies(version, extendedRange, { includePrerelease: next || undefined })) {
                 logger.error([
                     `Package ${JSON.stringify(installed)} has an incompatible peer dependency to`,
@@ -127,20 +274,53 @@ function _validateReversePeerDependencies(name, version, infoMap, logger, next)
                     `${JSON.stringify(range)}${extendedRange == range ? '' : ' (extended)'},`,
                     `would install ${JSON.stringify(version)}).`,
                 ].join(' '));
-                return true;
+                conflicts.push({ type: 'reverse', package: installed, peer: name, range, extendedRange, version });
+                validationFailed = true;
             }
         }
     }
-    return false;
+    return validationFailed;
 }
-function _validateUpdatePackages(infoMap, force, next, logger) {
+function _validateRequirements(name, requirements, infoMap, logger, next, conflicts) {
+    let validationFailed = false;
+    for (const [requirement, range] of Object.entries(requirements)) {
+        logger.debug(`Checking requirement ${requirement}...`);
+        const maybeInfo = infoMap.get(requirement);
+        if (!maybeInfo) {
+            logger.error([
+                `Package ${JSON.stringify(name)} requires ${JSON.stringify(requirement)} @`,
+                `${JSON.stringify(range)}, which is not installed.`,
+            ].join(' '));
+            conflicts.push({ type: 'requirement', package: name, peer: requirement, range });
+            validationFailed = true;
+            continue;
+        }
+        const version = maybeInfo.target ? maybeInfo.target.version : maybeInfo.installed.version;
+        if (!semver.satisfies(version, range, { includePrerelease: next || undefined })) {
+            logger.error([
+                `Package ${JSON.stringify(name)} has an unmet requirement of`,
+                `${JSON.stringify(requirement)} (requires ${JSON.stringify(range)},`,
+                `would install ${JSON.stringify(version)}).`,
+            ].join(' '));
+            conflicts.push({ type: 'requirement', package: name, peer: requirement, range, version });
+            validationFailed = true;
+        }
+    }
+    return validationFailed;
+}
+/**
+ * Validates the peer dependencies and the `ng-update` requirements of the packages to update and
+ * of the installed packages.
+ * @returns The list of conflicts found.
+ */
+function _validateUpdatePackages(infoMap, next, logger, compatibility) {
     logger.debug('Updating the following packages:');
     infoMap.forEach(info => {
         if (info.target) {
             logger.debug(`  ${info.name} => ${info.target.version}`);
         }
     });
-    let peerErrors = false;
+    const conflicts = [];
     infoMap.forEach(info => {
         const { name, target } = info;
         if (!target) {
@@ -149,86 +329,252 @@ function _validateUpdatePackages(infoMap, force, next, logger) {
         const pkgLogger = logger.createChild(name);
         logger.debug(`${name}...`);
         const { peerDependencies = {}, peerDependenciesMeta = {} } = target.packageJson;
-        peerErrors = _validateForwardPeerDependencies(name, infoMap, peerDependencies, peerDependenciesMeta, pkgLogger, next) || peerErrors;
-        peerErrors
-            = _validateReversePeerDependencies(name, target.version, infoMap, pkgLogger, next)
-                || peerErrors;
+        _validateForwardPeerDependencies(name, infoMap, peerDependencies, peerDependenciesMeta, pkgLogger, next, conflicts, compatibility);
+        _validateReversePeerDependencies(name, target.version, infoMap, pkgLogger, next, conflicts, compatibility);
+        _validateRequirements(name, target.updateMetadata.requirements, infoMap, pkgLogger, next, conflicts);
     });
-    if (!force && peerErrors) {
-        throw new schematics_1.SchematicsException(core_1.tags.stripIndents `Incompatible peer dependencies found.
-      Peer dependency warnings when installing dependencies means that those dependencies might not work correctly together.
-      You can use the '--force' option to ignore incompatible peer dependencies and instead address these warnings later.`);
-    }
+    return conflicts;
 }
-function _performUpdate(tree, context, infoMap, logger, migrateOnly, migrateExternal) {
-    const packageJsonContent = tree.read('/package.json');
-    if (!packageJsonContent) {
-        throw new schematics_1.SchematicsException('Could not find a package.json. Are you in a Node project?');
-    }
-    let packageJson;
-    try {
-        packageJson = JSON.parse(packageJsonContent.toString());
-    }
-    catch (e) {
-        throw new schematics_1.SchematicsException('package.json could not be parsed: ' + e.message);
-    }
-    const updateDependency = (deps, name, newVersion) => {
-        const oldVersion = deps[name];
-        // We only respect caret and tilde ranges on update.
-        const execResult = /^[\^~]/.exec(oldVersion);
-        deps[name] = `${execResult ? execResult[0] : ''}${newVersion}`;
-    };
+/**
+ * Computes the new content of every package.json of the workspace, with the target version of
+ * every package to update.
+ * @returns The package.json files that change, the packages to install, and the ranges of those
+ *     that already accept their target version and are left as is.
+ */
+function _updatePackageJsons(tree, manifests, infoMap, logger, savePrefix) {
     const toInstall = [...infoMap.values()]
         .map(x => [x.name, x.target, x.installed])
         // tslint:disable-next-line:no-non-null-assertion
         .filter(([name, target, installed]) => {
         return !!name && !!target && !!installed;
     });
-    toInstall.forEach(([name, target, installed]) => {
-        logger.info(`Updating package.json with dependency ${name} `
-            + `@ ${JSON.stringify(target.version)} (was ${JSON.stringify(installed.version)})...`);
+    const changes = [];
+    const updatedNames = new Set();
+    const kept = new Map();
+    for (const path of manifests) {
+        const content = tree.read(path).toString();
+        const newContent = _updatePackageJson(content, _readPackageJson(tree, path), toInstall, updatedNames, kept, savePrefix);
+        if (newContent !== undefined && content != newContent) {
+            changes.push({ path, content, newContent });
+        }
+    }
+    toInstall
+        .filter(([name]) => !updatedNames.has(name))
+        .forEach(([name]) => logger.warn(`Package ${name} was not found in dependencies.`));
+    return { changes, toInstall, kept };
+}
+/**
+ * Computes the new content of a package.json with the target version of the packages it
+ * declares. Only the affected dependencies are edited, so the formatting of the file is kept.
+ * @param kept The ranges that are left as is are added to this map, by package name.
+ * @returns The new content, or undefined if the package.json declares none of the packages.
+ */
+function _updatePackageJson(content, packageJson, toInstall, updatedNames, kept, savePrefix) {
+    const edits = [];
+    const updateDependency = (field, name, target) => {
+        const oldVersion = packageJson[field][name];
+        let newVersion;
+        if (target.packageJson && target.packageJson._spec) {
+            newVersion = non_registry_1.getUpdatedSpecifier(name, oldVersion, target.packageJson);
+        }
+        else {
+            const policy = save_prefix_1.getSavePrefixPolicy(savePrefix, name);
+            newVersion = save_prefix_1.getUpdatedRange(oldVersion, target.version, policy);
+        }
+        if (newVersion === oldVersion) {
+            kept.set(name, oldVersion);
+            return;
+        }
+        edits.push({ path: [field, name], value: newVersion });
+    };
+    const removeDependency = (field, name) => edits.push({ path: [field, name] });
+    toInstall.forEach(([name, target]) => {
         if (packageJson.dependencies && packageJson.dependencies[name]) {
-            updateDependency(packageJson.dependencies, name, target.version);
+            updateDependency('dependencies', name, target);
             if (packageJson.devDependencies && packageJson.devDependencies[name]) {
-                delete packageJson.devDependencies[name];
+                removeDependency('devDependencies', name);
             }
             if (packageJson.peerDependencies && packageJson.peerDependencies[name]) {
-                delete packageJson.peerDependencies[name];
+                removeDependency('peerDependencies', name);
             }
         }
         else if (packageJson.devDependencies && packageJson.devDependencies[name]) {
-            updateDependency(packageJson.devDependencies, name, target.version);
+            updateDependency('devDependencies', name, target);
             if (packageJson.peerDependencies && packageJson.peerDependencies[name]) {
-                delete packageJson.peerDependencies[name];
+                removeDependency('peerDependencies', name);
             }
         }
         else if (packageJson.peerDependencies && packageJson.peerDependencies[name]) {
-            updateDependency(packageJson.peerDependencies, name, target.version);
+            updateDependency('peerDependencies', name, target);
         }
         else {
-            logger.warn(`Package ${name} was not found in dependencies.`);
+            return;
         }
+        updatedNames.add(name);
     });
-    const newContent = JSON.stringify(packageJson, null, 2);
-    if (packageJsonContent.toString() != newContent || migrateOnly) {
+    return edits.length > 0 ? json_edit_1.editJson(content, edits) : undefined;
+}
+/**
+ * Returns the versions of a package between two versions (inclusive), from the greatest to the
+ * lowest. Prereleases are only included with `--next`, or if they are the maximum version.
+ */
+function _getCandidateVersions(npmPackageJson, minVersion, maxVersion, next) {
+    return Object.keys(npmPackageJson.versions || {})
+        .filter(version => semver.valid(version)
+            && semver.gte(version, minVersion)
+            && (!maxVersion || semver.lte(version, maxVersion))
+            && (next || !semver.prerelease(version) || version === maxVersion))
+        .sort(semver.rcompare);
+}
+/**
+ * Creates the host used to resolve versions from the packuments that were fetched.
+ */
+function _createResolverHost(infoMap, next, compatibility) {
+    const nullLogger = new core_1.logging.NullLogger();
+    return {
+        includePrerelease: next,
+        installedVersions: new Map([...infoMap.values()].map(info => [info.name, info.installed.version])),
+        getCandidates(name) {
+            const info = infoMap.get(name);
+            return info ? _getCandidateVersions(info.npmPackageJson, info.installed.version, undefined, next) : [];
+        },
+        getConstraints(name, version) {
+            const info = infoMap.get(name);
+            const packageJson = info && info.npmPackageJson.versions[version];
+            if (!packageJson) {
+                return [];
+            }
+            const constraints = Object.entries(packageJson.peerDependencies || {})
+                .map(([peer, range]) => ({ name: peer, range, type: 'peer' }));
+            const { packageGroup, requirements } = _getUpdateMetadata(packageJson, nullLogger);
+            for (const [member, memberVersion] of Object.entries(packageGroup)) {
+                const memberInfo = infoMap.get(member);
+                // Package groups can also reference a dist-tag.
+                const range = semver.validRange(memberVersion)
+                    || (memberInfo && memberInfo.npmPackageJson['dist-tags'][memberVersion]);
+                if (member != name && memberInfo && range) {
+                    constraints.push({ name: member, range, type: 'group' });
+                }
+            }
+            for (const [requirement, range] of Object.entries(requirements)) {
+                constraints.push({ name: requirement, range, type: 'requirement' });
+            }
+            return constraints;
+        },
+        getInstalledConstraints(name) {
+            const info = infoMap.get(name);
+            if (!info) {
+                return [];
+            }
+            return Object.entries(info.installed.packageJson.peerDependencies || {})
+                .filter(([peer]) => !_isPeerIgnored(compatibility, name, peer))
+                .map(([peer, range]) => ({
+                name: peer,
+                range: _updatePeerVersion(infoMap, peer, range, compatibility, name),
+                type: 'peer',
+            }));
+        },
+    };
+}
+/**
+ * Looks for versions of the packages involved in peer dependency conflicts that satisfy every
+ * constraint, using the packuments that were already fetched, and logs the command that would
+ * update to them.
+ */
+function _suggestConflictResolution(infoMap, conflicts, next, compatibility, logger) {
+    const host = _createResolverHost(infoMap, next, compatibility);
+    const roots = new Map();
+    for (const info of infoMap.values()) {
+        if (info.target) {
+            roots.set(info.name, _getCandidateVersions(info.npmPackageJson, info.installed.version, info.target.version, next));
+        }
+    }
+    for (const conflict of conflicts) {
+        for (const name of [conflict.package, conflict.peer]) {
+            if (!roots.has(name) && infoMap.has(name)) {
+                roots.set(name, host.getCandidates(name));
+            }
+        }
+    }
+    const { versions, blocking } = resolver_1.resolveVersions(host, roots);
+    if (!versions) {
+        logger.info(blocking
+            ? `No set of versions satisfies every peer dependency. ${JSON.stringify(blocking)} blocks the update.`
+            : 'No set of versions satisfies every peer dependency.');
+        return;
+    }
+    const updates = [...versions.entries()]
+        .filter(([name, version]) => version !== infoMap.get(name).installed.version);
+    if (updates.length > 0) {
+        logger.info('The following command would update to a set of compatible versions:\n'
+            + `  ng update ${updates.map(([name, version]) => `${name}@${version}`).join(' ')}`);
+    }
+}
+/**
+ * @param migrateOptions Options passed along to the migrate schematic.
+ * @param skipInstall Only print the commands to install the packages and to run their migrations.
+ */
+function _performUpdate(tree, context, manifests, infoMap, logger, migrateOnly, migrateExternal, transactional, migrateOptions, savePrefix, packageManager, skipInstall) {
+    const { changes, toInstall, kept } = _updatePackageJsons(tree, manifests, infoMap, logger, savePrefix);
+    let transaction;
+    if (transactional) {
+        // Lockfiles that don't exist yet are recorded too, so they are deleted on rollback.
+        transaction = { files: {}, packages: {}, pending: [] };
+        transaction_1.recordOriginals(transaction, tree, [...changes.map(({ path }) => path), ...lockfile_1.lockfilePaths]);
+    }
+    toInstall.forEach(([name, target, installed]) => {
+        if (kept.has(name)) {
+            logger.info(`Keeping dependency ${name} @ ${JSON.stringify(kept.get(name))} in package.json, which accepts `
+                + `${JSON.stringify(target.version)} (was ${JSON.stringify(installed.version)})...`);
+            return;
+        }
+        logger.info(`Updating package.json with dependency ${name} `
+            + `@ ${JSON.stringify(target.version)} (was ${JSON.stringify(installed.version)})...`);
+    });
+    // Packages whose range already accepts their target version still need to be installed and
+    // migrated, even if no package.json changes.
+    if (changes.length > 0 || toInstall.length > 0 || migrateOnly) {
         let installTask = [];
         if (!migrateOnly) {
             // If something changed, also hook up the task.
-            tree.overwrite('/package.json', JSON.stringify(packageJson, null, 2));
-            installTask = [context.addTask(new tasks_1.NodePackageInstallTask())];
+            for (const { path, newContent } of changes) {
+                tree.overwrite(path, newContent);
+            }
+            if (skipInstall) {
+                logger.info(`Skipped installing the packages. Run '${_getInstallCommand(packageManager)}' to install them.`);
+            }
+            else if (transaction) {
+                // The update is reverted right away if the install fails.
+                installTask = [context.addTask(new tasks_1.RunSchematicTask('@schematics/update', 'transaction', {
+                        action: 'install',
+                        transaction: transaction_1.transactionJournalPath,
+                        packageManager,
+                    }))];
+            }
+            else {
+                installTask = [context.addTask(_createInstallTask(packageManager))];
+            }
         }
         const externalMigrations = [];
+        const migrateTasks = [];
         // Run the migrate schematics with the list of packages to use. The collection contains
         // version information and we need to do this post installation. Please note that the
         // migration COULD fail and leave side effects on disk.
         // Run the schematics task of those packages.
         toInstall.forEach(([name, target, installed]) => {
+            if (transaction && !migrateOnly) {
+                transaction.packages[name] = target.version;
+            }
             if (!target.updateMetadata.migrations) {
                 return;
             }
-            const collection = (target.updateMetadata.migrations.match(/^[./]/)
-                ? name + '/'
-                : '') + target.updateMetadata.migrations;
+            const collection = _getMigrationCollection(name, target.updateMetadata.migrations);
+            if (skipInstall && !migrateOnly) {
+                // The migrations come from the new version, which is not installed yet.
+                logger.info(`Then run 'ng update ${name} --migrate-only --from=${installed.version} `
+                    + `--to=${target.version}' to run its migrations.`);
+                return;
+            }
             if (migrateExternal) {
                 externalMigrations.push({
                     package: name,
@@ -238,35 +584,171 @@ function _performUpdate(tree, context, infoMap, logger, migrateOnly, migrateExte
                 });
                 return;
             }
-            context.addTask(new tasks_1.RunSchematicTask('@schematics/update', 'migrate', {
+            if (transaction) {
+                transaction.pending.push(name);
+            }
+            migrateTasks.push(context.addTask(new tasks_1.RunSchematicTask('@schematics/update', 'migrate', {
                 package: name,
                 collection,
                 from: installed.version,
                 to: target.version,
-            }), installTask);
+                ...migrateOptions,
+                ...(transaction ? { transaction: transaction_1.transactionJournalPath } : {}),
+            }), installTask));
         });
+        if (transaction) {
+            transaction_1.writeTransaction(tree, transaction);
+            // Runs after every other step, whether the update completed or was reverted, and
+            // deletes the journal.
+            context.addTask(new tasks_1.RunSchematicTask('@schematics/update', 'transaction', {
+                action: 'finish',
+                transaction: transaction_1.transactionJournalPath,
+            }), [...installTask, ...migrateTasks]);
+        }
         if (externalMigrations.length > 0) {
             // tslint:disable-next-line: no-any
             global.externalMigrations = externalMigrations;
         }
     }
 }
-function _migrateOnly(info, context, from, to) {
+/**
+ * Returns whether a transactional update that was interrupted before its last step completed, in
+ * which case its journal is only stale: every migration ran and the packages were installed at
+ * their new versions.
+ */
+function _isTransactionComplete(tree, lock, transaction) {
+    if (transaction.pending.length > 0) {
+        return false;
+    }
+    return Object.entries(transaction.packages || {}).every(([name, version]) => {
+        if (lock) {
+            return lockfile_1.getLockfileVersion(lock, name, version) === version;
+        }
+        const packageContent = tree.read(`/node_modules/${name}/package.json`);
+        return !!packageContent && JSON.parse(packageContent.toString()).version === version;
+    });
+}
+/**
+ * Returns the name of the collection containing the migrations of a package. Relative paths are
+ * resolved from the package itself.
+ */
+function _getMigrationCollection(name, migrations) {
+    return (migrations.match(/^[./]/) ? name + '/' : '') + migrations;
+}
+function _getInstallCommand(packageManager = 'npm') {
+    return `${packageManager} install`;
+}
+/**
+ * Creates the task installing the packages. It runs at the root of the tree, which is also the
+ * root of the workspace, so that the members of the workspace are installed along with it.
+ */
+function _createInstallTask(packageManager) {
+    return new tasks_1.NodePackageInstallTask({ packageManager, workingDirectory: '.' });
+}
+/**
+ * Lists the migrations of a package that would run when updating it, the same way the migrate
+ * schematic selects them. The target version of the package is downloaded to read its migration
+ * collection.
+ * @returns The migrations to run, or undefined if the collection cannot be read before the
+ *     package is installed.
+ */
+async function _getPlannedMigrations(name, target, installed, logger, npmOptions) {
+    let collectionPath = target.updateMetadata.migrations;
+    if (collectionPath.startsWith(name + '/')) {
+        collectionPath = collectionPath.substr(name.length + 1);
+    }
+    else if (!collectionPath.match(/^[./]/)) {
+        // The migrations are in another package.
+        return undefined;
+    }
+    const tmpDir = fs_1.mkdtempSync(path.join(os_1.tmpdir(), 'angular-update-'));
+    try {
+        if (target.packageJson._spec) {
+            await non_registry_1.extractNonRegistryPackage(target.packageJson, tmpDir, logger, npmOptions);
+        }
+        else {
+            await npm_1.extractNpmPackage(name, target.version, tmpDir, logger, npmOptions);
+        }
+        let collectionFile = path.join(tmpDir, collectionPath);
+        if (fs_1.statSync(collectionFile).isDirectory()) {
+            const dirPackageJson = JSON.parse(fs_1.readFileSync(path.join(collectionFile, 'package.json'), 'utf8'));
+            collectionFile = path.join(collectionFile, dirPackageJson.schematics);
+        }
+        const collectionJson = JSON.parse(fs_1.readFileSync(collectionFile, 'utf8'));
+        return index_1._selectMigrations(Object.entries(collectionJson.schematics || {})
+            .map(([schematicName, description]) => ({ name: schematicName, description })), installed.version, target.version);
+    }
+    finally {
+        fs_1.rmdirSync(tmpDir, { recursive: true });
+    }
+}
+/**
+ * Prints what an update would do, without changing the tree or scheduling any task.
+ */
+async function _printPlan(tree, manifests, infoMap, logger, packageManager, npmOptions, savePrefix) {
+    const { changes, toInstall, kept } = _updatePackageJsons(tree, manifests, infoMap, logger, savePrefix);
+    if (changes.length == 0 && toInstall.length == 0) {
+        logger.info('Nothing would be updated.');
+        return;
+    }
+    if (changes.length > 0) {
+        logger.info('The following changes would be made:\n');
+        for (const { path, content, newContent } of changes) {
+            logger.info(diff_1.createUnifiedDiff(path.substr(1), content, newContent));
+        }
+    }
+    kept.forEach((range, name) => {
+        logger.info(`The range ${JSON.stringify(range)} of ${name} already accepts the new version and would be kept.`);
+    });
+    logger.info(`\nPackages would then be installed by running '${_getInstallCommand(packageManager)}'.`);
+    const migrationLines = [];
+    for (const [name, target, installed] of toInstall) {
+        if (!target.updateMetadata.migrations) {
+            continue;
+        }
+        const header = `  ${name} (${installed.version} -> ${target.version}):`;
+        let migrations;
+        try {
+            migrations = await _getPlannedMigrations(name, target, installed, logger, npmOptions);
+        }
+        catch (e) {
+            migrationLines.push(header, `    Could not read the migrations: ${e.message}`);
+            continue;
+        }
+        if (!migrations) {
+            migrationLines.push(header, `    Migrations from ${JSON.stringify(target.updateMetadata.migrations)} `
+                + 'can only be listed once installed.');
+        }
+        else if (migrations.length > 0) {
+            migrationLines.push(header, ...migrations.map(x => `    ${x.version.padEnd(16)} ${x.name}`));
+        }
+    }
+    if (migrationLines.length > 0) {
+        logger.info('\nThe following migrations would run, in order:\n');
+        migrationLines.forEach(line => logger.info(line));
+    }
+    else {
+        logger.info('\nNo migrations would run.');
+    }
+}
+function _migrateOnly(info, context, from, to, migrateOptions) {
     if (!info) {
         return;
     }
     const target = info.installed;
     if (!target || !target.updateMetadata.migrations) {
+        if (migrateOptions.list || migrateOptions.names) {
+            context.logger.info(`Package '${info.name}' has no migrations.`);
+        }
         return;
     }
-    const collection = (target.updateMetadata.migrations.match(/^[./]/)
-        ? info.name + '/'
-        : '') + target.updateMetadata.migrations;
+    const collection = _getMigrationCollection(info.name, target.updateMetadata.migrations);
     context.addTask(new tasks_1.RunSchematicTask('@schematics/update', 'migrate', {
         package: info.name,
         collection,
         from: from,
         to: to || target.version,
+        ...migrateOptions,
     }));
 }
 function _getUpdateMetadata(packageJson, logger) {
@@ -274,6 +756,8 @@ function _getUpdateMetadata(packageJson, logger) {
     const result = {
         packageGroup: {},
         requirements: {},
+        peerCompatibility: {},
+        ignorePeerDependencies: [],
     };
     if (!metadata || typeof metadata != 'object' || Array.isArray(metadata)) {
         return result;
@@ -312,6 +796,9 @@ function _getUpdateMetadata(packageJson, logger) {
             result.requirements = requirements;
         }
     }
+    const { peerCompatibility, ignorePeerDependencies } = _getPeerCompatibilityMetadata(metadata, 'ignorePeerDependencies', `package ${packageJson.name}`, logger);
+    result.peerCompatibility = peerCompatibility;
+    result.ignorePeerDependencies = ignorePeerDependencies;
     if (metadata['migrations']) {
         const migrations = metadata['migrations'];
         if (typeof migrations != 'string') {
@@ -323,14 +810,25 @@ function _getUpdateMetadata(packageJson, logger) {
     }
     return result;
 }
-function _usageMessage(options, infoMap, logger) {
-    const packageGroups = new Map();
-    const packagesToUpdate = [...infoMap.entries()]
+/**
+ * Returns the version a package would be updated to when updating it without a version, and the
+ * dist-tag this version comes from.
+ */
+function _getDefaultUpdateTarget(info, next) {
+    const tag = next
+        ? (info.npmPackageJson['dist-tags']['next'] ? 'next' : 'latest') : 'latest';
+    const version = info.npmPackageJson['dist-tags'][tag];
+    const target = info.npmPackageJson.versions[version];
+    return { version, tag, target };
+}
+/**
+ * Lists the packages providing `ng update` capabilities that are outdated, with the version they
+ * would be updated to by default.
+ */
+function _getOutdatedPackages(infoMap, next) {
+    return [...infoMap.entries()]
         .map(([name, info]) => {
-        const tag = options.next
-            ? (info.npmPackageJson['dist-tags']['next'] ? 'next' : 'latest') : 'latest';
-        const version = info.npmPackageJson['dist-tags'][tag];
-        const target = info.npmPackageJson.versions[version];
+        const { version, tag, target } = _getDefaultUpdateTarget(info, next);
         return {
             name,
             info,
@@ -344,8 +842,45 @@ function _usageMessage(options, infoMap, logger) {
     })
         .filter(({ target }) => {
         return target['ng-update'];
+    });
+}
+/**
+ * Asks which packages to update and to which versions, and saves the choices if a choices file is
+ * given. Only the first package of each package group is listed, as the others are updated along.
+ * @returns The packages to update, mapped to the version or dist-tag chosen.
+ */
+async function _promptPackages(infoMap, next, choicesFile, logger) {
+    const outdated = _getOutdatedPackages(infoMap, next)
+        .filter(({ name, target }) => {
+        const { packageGroupName } = _getUpdateMetadata(target, logger);
+        return !packageGroupName || packageGroupName == name || !infoMap.has(packageGroupName);
     })
+        .map(({ name, info, version, tag }) => ({
+        name,
+        npmPackageJson: info.npmPackageJson,
+        installed: info.installed.version,
+        version,
+        tag,
+    }));
+    if (outdated.length == 0) {
+        return {};
+    }
+    const packages = await interactive_1.promptPackages(outdated);
+    if (choicesFile) {
+        choices_1.writeChoices(choicesFile, { packages, migrations: {} });
+    }
+    return packages;
+}
+/**
+ * @param dependencyWorkspaces The workspace members declaring each dependency, when the project
+ *     has workspaces.
+ */
+function _usageMessage(options, infoMap, logger, dependencyWorkspaces) {
+    const packageGroups = new Map();
+    const blockers = new Map();
+    const packagesToUpdate = _getOutdatedPackages(infoMap, options.next)
         .map(({ name, info, version, tag, target }) => {
+        const workspaces = dependencyWorkspaces && (dependencyWorkspaces.get(name) || []).join(', ');
         // Look for packageGroup.
         if (target['ng-update'] && target['ng-update']['packageGroup']) {
             const packageGroup = target['ng-update']['packageGroup'];
@@ -364,7 +899,10 @@ function _usageMessage(options, infoMap, logger) {
         if (tag == 'next') {
             command += ' --next';
         }
-        return [name, `${info.installed.version} -> ${version} `, command];
+        blockers.set(name, _getUnmetRequirements(target, infoMap));
+        return dependencyWorkspaces
+            ? [name, `${info.installed.version} -> ${version} `, `${workspaces} `, command]
+            : [name, `${info.installed.version} -> ${version} `, command];
     })
         .filter(x => x !== null)
         .sort((a, b) => a && b ? a[0].localeCompare(b[0]) : 0);
@@ -378,41 +916,181 @@ function _usageMessage(options, infoMap, logger) {
     if (!Number.isFinite(namePad)) {
         namePad = 30;
     }
-    const pads = [namePad, 25, 0];
-    logger.info('  '
-        + ['Name', 'Version', 'Command to update'].map((x, i) => x.padEnd(pads[i])).join(''));
+    let pads = [namePad, 25, 0];
+    let headers = ['Name', 'Version', 'Command to update'];
+    if (dependencyWorkspaces) {
+        const workspacesPad = Math.max(...packagesToUpdate.map(x => x ? x[2].length : 0), 9) + 2;
+        pads = [namePad, 25, workspacesPad, 0];
+        headers = ['Name', 'Version', 'Workspace', 'Command to update'];
+    }
+    logger.info('  ' + headers.map((x, i) => x.padEnd(pads[i])).join(''));
     logger.info(' ' + '-'.repeat(pads.reduce((s, x) => s += x, 0) + 20));
     packagesToUpdate.forEach(fields => {
         if (!fields) {
             return;
         }
         logger.info('  ' + fields.map((x, i) => x.padEnd(pads[i])).join(''));
+        for (const blocker of blockers.get(fields[0]) || []) {
+            logger.info(`    Blocked: ${blocker}`);
+        }
     });
     logger.info(`\nThere might be additional packages which don't provide 'ng update' capabilities that are outdated.\n`
         + `You can update the additional packages by running the update command of your package manager.`);
     return;
 }
-function _buildPackageInfo(tree, packages, allDependencies, npmPackageJson, logger) {
-    const name = npmPackageJson.name;
-    const packageJsonRange = allDependencies.get(name);
-    if (!packageJsonRange) {
-        throw new schematics_1.SchematicsException(`Package ${JSON.stringify(name)} was not found in package.json.`);
+/**
+ * Lists the `ng-update` requirements of a version that the installed packages don't meet.
+ */
+function _getUnmetRequirements(packageJson, infoMap) {
+    const { requirements } = _getUpdateMetadata(packageJson, new core_1.logging.NullLogger());
+    return Object.entries(requirements)
+        .filter(([name, range]) => {
+        const info = infoMap.get(name);
+        return !info || !semver.satisfies(info.installed.version, range);
+    })
+        .map(([name, range]) => {
+        const info = infoMap.get(name);
+        return `requires ${name}@${range}, `
+            + (info ? `${info.installed.version} is installed.` : 'which is not installed.');
+    });
+}
+/**
+ * Describes the migrations of a package for the report, including the migrations that would run.
+ * Those are null when they can only be listed once the package is installed.
+ */
+async function _getReportMigrations(info, target, logger, npmOptions) {
+    const migrations = {
+        collection: _getMigrationCollection(info.name, target.updateMetadata.migrations),
+        from: info.installed.version,
+        to: target.version,
+        run: null,
+    };
+    try {
+        const planned = await _getPlannedMigrations(info.name, target, info.installed, logger, npmOptions);
+        migrations.run = planned
+            ? planned.map(({ name, version, description, optional }) => ({ name, version, description, optional }))
+            : null;
+    }
+    catch (e) {
+        migrations.error = `Could not read the migrations: ${e.message}`;
+    }
+    return migrations;
+}
+/**
+ * Builds the machine-readable analysis of the update, as written by `--json` and `--report`.
+ */
+async function _buildReport(options, packages, infoMap, conflicts, logger, npmOptions) {
+    const report = { packages: [], conflicts };
+    for (const info of infoMap.values()) {
+        let target;
+        if (packages.size > 0) {
+            const requested = packages.get(info.name);
+            target = info.target && {
+                version: info.target.version,
+                tag: requested && info.npmPackageJson['dist-tags'][requested] ? requested : null,
+                packageJson: info.target.packageJson,
+                updateMetadata: info.target.updateMetadata,
+            };
+        }
+        else {
+            const { version, tag, target: packageJson } = _getDefaultUpdateTarget(info, options.next);
+            if (packageJson && semver.gt(version, info.installed.version)) {
+                target = {
+                    version,
+                    tag,
+                    packageJson,
+                    updateMetadata: _getUpdateMetadata(packageJson, logger),
+                };
+            }
+        }
+        const updateMetadata = (target || info.installed).updateMetadata;
+        report.packages.push({
+            name: info.name,
+            range: info.packageJsonRange,
+            installed: { version: info.installed.version, source: info.installed.source },
+            target: target ? { version: target.version, tag: target.tag } : null,
+            packageGroup: updateMetadata.packageGroupName
+                ? {
+                    name: updateMetadata.packageGroupName,
+                    members: Object.keys(updateMetadata.packageGroup),
+                }
+                : null,
+            migrations: target && target.updateMetadata.migrations
+                ? await _getReportMigrations(info, target, logger, npmOptions)
+                : null,
+        });
     }
-    // Find out the currently installed version. Either from the package.json or the node_modules/
-    // TODO: figure out a way to read package-lock.json and/or yarn.lock.
+    return report;
+}
+/**
+ * Writes the analysis report to disk right away, rather than to the tree which is discarded when
+ * the update fails, e.g. because of the conflicts the report lists.
+ */
+function _writeReport(reportPath, report) {
+    const file = path.resolve(reportPath.replace(/^\//, ''));
+    fs_1.mkdirSync(path.dirname(file), { recursive: true });
+    fs_1.writeFileSync(file, report + '\n');
+}
+/**
+ * Creates the logger used with `--json`. Only warnings and errors are logged, which the CLI writes
+ * to stderr, so that the JSON written to stdout can be parsed.
+ */
+function _createJsonLogger(logger) {
+    const jsonLogger = new core_1.logging.Logger('update');
+    jsonLogger.subscribe(entry => {
+        if (entry.level != 'debug' && entry.level != 'info') {
+            logger.log(entry.level, entry.message);
+        }
+    });
+    return jsonLogger;
+}
+/**
+ * Finds out the currently installed version of a package. The lockfile is preferred as
+ * node_modules/ might be missing or out of date, then the package.json from node_modules/ and, as
+ * a last resort, the greatest version from NPM that fits the range.
+ */
+function _findInstalledVersion(tree, lock, npmPackageJson, packageJsonRange) {
+    const name = npmPackageJson.name;
     let installedVersion;
+    let installedSource;
     const packageContent = tree.read(`/node_modules/${name}/package.json`);
-    if (packageContent) {
+    if (lock) {
+        // Lockfiles record the resolved URL of some non-registry packages as their version.
+        installedVersion = semver.valid(lockfile_1.getLockfileVersion(lock, name, packageJsonRange)) || undefined;
+        installedSource = lock.path.substr(1);
+    }
+    if (!installedVersion && packageContent) {
         const content = JSON.parse(packageContent.toString());
         installedVersion = content.version;
+        installedSource = 'node_modules';
     }
     if (!installedVersion) {
-        // Find the version from NPM that fits the range to max.
-        installedVersion = semver.maxSatisfying(Object.keys(npmPackageJson.versions), packageJsonRange);
+        // Find the version from NPM that fits the range to max, or the version a non-registry
+        // specifier currently resolves to.
+        installedVersion = semver.maxSatisfying(Object.keys(npmPackageJson.versions), packageJsonRange)
+            || npmPackageJson['dist-tags']['current'];
+        installedSource = npmPackageJson['dist-tags']['current'] ? 'specifier' : 'registry';
     }
     if (!installedVersion) {
         throw new schematics_1.SchematicsException(`An unexpected error happened; could not determine version for package ${name}.`);
     }
+    return { version: installedVersion, source: installedSource };
+}
+/**
+ * Returns whether the metadata of a package has its installed version. Packages that are not from
+ * the registry only have the versions their specifier resolves to.
+ */
+function _hasInstalledVersion(tree, lock, npmPackageJson, packageJsonRange) {
+    return !!npmPackageJson.versions[_findInstalledVersion(tree, lock, npmPackageJson, packageJsonRange).version];
+}
+function _buildPackageInfo(tree, packages, allDependencies, lock, npmPackageJson, logger) {
+    const name = npmPackageJson.name;
+    const packageJsonRange = allDependencies.get(name);
+    if (!packageJsonRange) {
+        throw new schematics_1.SchematicsException(`Package ${JSON.stringify(name)} was not found in package.json.`);
+    }
+    const packageContent = tree.read(`/node_modules/${name}/package.json`);
+    const { version: installedVersion, source: installedSource } = _findInstalledVersion(tree, lock, npmPackageJson, packageJsonRange);
     const installedPackageJson = npmPackageJson.versions[installedVersion] || packageContent;
     if (!installedPackageJson) {
         throw new schematics_1.SchematicsException(`An unexpected error happened; package ${name} has no version ${installedVersion}.`);
@@ -446,6 +1124,7 @@ function _buildPackageInfo(tree, packages, allDependencies, npmPackageJson, logg
         npmPackageJson,
         installed: {
             version: installedVersion,
+            source: installedSource,
             packageJson: installedPackageJson,
             updateMetadata: _getUpdateMetadata(installedPackageJson, logger),
         },
@@ -476,101 +1155,159 @@ function _buildPackageList(options, projectDeps, logger) {
     }
     return packages;
 }
-function _addPackageGroup(tree, packages, allDependencies, npmPackageJson, logger) {
-    const maybePackage = packages.get(npmPackageJson.name);
-    if (!maybePackage) {
-        return;
-    }
-    const info = _buildPackageInfo(tree, packages, allDependencies, npmPackageJson, logger);
-    const version = (info.target && info.target.version)
-        || npmPackageJson['dist-tags'][maybePackage]
-        || maybePackage;
-    if (!npmPackageJson.versions[version]) {
-        return;
-    }
-    const ngUpdateMetadata = npmPackageJson.versions[version]['ng-update'];
-    if (!ngUpdateMetadata) {
-        return;
-    }
-    let packageGroup = ngUpdateMetadata['packageGroup'];
-    if (!packageGroup) {
-        return;
+/**
+ * Returns the versions requested for a package on the command line, from the most to the least
+ * preferred. A dist-tag resolves to a single version, and a range to every version satisfying it.
+ */
+function _getRequestedVersions(npmPackageJson, requested, next) {
+    const distTags = npmPackageJson['dist-tags'];
+    if (distTags[requested]) {
+        return [distTags[requested]];
     }
-    if (Array.isArray(packageGroup) && !packageGroup.some(x => typeof x != 'string')) {
-        packageGroup = packageGroup.reduce((acc, curr) => {
-            acc[curr] = maybePackage;
-            return acc;
-        }, {});
+    else if (requested == 'next') {
+        return distTags['latest'] ? [distTags['latest']] : [];
     }
-    // Only need to check if it's an object because we set it right the time before.
-    if (typeof packageGroup != 'object'
-        || packageGroup === null
-        || Object.values(packageGroup).some(v => typeof v != 'string')) {
-        logger.warn(`packageGroup metadata of package ${npmPackageJson.name} is malformed.`);
-        return;
-    }
-    Object.keys(packageGroup)
-        .filter(name => !packages.has(name)) // Don't override names from the command line.
-        .filter(name => allDependencies.has(name)) // Remove packages that aren't installed.
-        .forEach(name => {
-        packages.set(name, packageGroup[name]);
-    });
+    return Object.keys(npmPackageJson.versions)
+        .filter(version => semver.satisfies(version, requested, { includePrerelease: next }))
+        .sort(semver.rcompare);
 }
 /**
- * Add peer dependencies of packages on the command line to the list of packages to update.
- * We don't do verification of the versions here as this will be done by a later step (and can
- * be ignored by the --force flag).
- * @private
+ * Picks the greatest requested version of every package, and the version its package group asks
+ * for of every member of the group, without checking any other constraint. Used when the
+ * resolution gives up, so that package groups are still updated together.
  */
-function _addPeerDependencies(tree, packages, allDependencies, npmPackageJson, npmPackageJsonMap, logger) {
-    const maybePackage = packages.get(npmPackageJson.name);
-    if (!maybePackage) {
-        return;
-    }
-    const info = _buildPackageInfo(tree, packages, allDependencies, npmPackageJson, logger);
-    const version = (info.target && info.target.version)
-        || npmPackageJson['dist-tags'][maybePackage]
-        || maybePackage;
-    if (!npmPackageJson.versions[version]) {
-        return;
-    }
-    const packageJson = npmPackageJson.versions[version];
-    const error = false;
-    for (const [peer, range] of Object.entries(packageJson.peerDependencies || {})) {
-        if (packages.has(peer)) {
-            continue;
+function _pickRequestedVersions(host, infoMap, roots, next) {
+    const versions = new Map();
+    for (const [name, candidates] of roots) {
+        if (candidates.length > 0) {
+            versions.set(name, candidates[0]);
         }
-        const peerPackageJson = npmPackageJsonMap.get(peer);
-        if (peerPackageJson) {
-            const peerInfo = _buildPackageInfo(tree, packages, allDependencies, peerPackageJson, logger);
-            if (semver.satisfies(peerInfo.installed.version, range)) {
+    }
+    for (const [name, version] of [...versions]) {
+        for (const constraint of host.getConstraints(name, version)) {
+            if (constraint.type != 'group' || versions.has(constraint.name)) {
                 continue;
             }
+            const memberVersion = semver.maxSatisfying(Object.keys(infoMap.get(constraint.name).npmPackageJson.versions), constraint.range, { includePrerelease: next });
+            if (memberVersion) {
+                versions.set(constraint.name, memberVersion);
+            }
+        }
+    }
+    return versions;
+}
+/**
+ * Picks the versions of the packages on the command line, of their package groups and of the peer
+ * dependencies that need to be updated with them, so that peer dependencies, package groups and
+ * `ng-update` requirements are all satisfied together. The greatest versions are preferred.
+ * If no such set of versions exists, a version is still picked for every package and the conflicts
+ * are reported by the validation.
+ * @returns The packages to update, mapped to their exact versions.
+ */
+function _resolvePackages(tree, packages, allDependencies, lock, npmPackageJsonMap, next, logger) {
+    const infoMap = new Map();
+    npmPackageJsonMap.forEach(npmPackageJson => {
+        infoMap.set(npmPackageJson.name, _buildPackageInfo(tree, packages, allDependencies, lock, npmPackageJson, logger));
+    });
+    const roots = new Map();
+    for (const [name, requested] of packages) {
+        const info = infoMap.get(name);
+        if (info) {
+            roots.set(name, _getRequestedVersions(info.npmPackageJson, requested, next));
         }
-        packages.set(peer, range);
     }
-    if (error) {
-        throw new schematics_1.SchematicsException('An error occured, see above.');
+    const host = _createResolverHost(infoMap, next, _getPeerCompatibility(tree, infoMap, new core_1.logging.NullLogger()));
+    let result = resolver_1.resolveVersions(host, roots);
+    if (!result.versions) {
+        logger.debug(result.exhausted
+            ? 'Gave up looking for a compatible set of versions.'
+            : `No compatible set of versions was found, blocked by ${result.blocking}.`);
+        result = resolver_1.resolveVersions(host, roots, { strict: false });
+    }
+    if (!result.versions) {
+        logger.debug('Gave up resolving versions, picking the greatest requested versions instead.');
     }
+    const versions = result.versions || _pickRequestedVersions(host, infoMap, roots, next);
+    const resolved = new Map(packages);
+    for (const [name, version] of versions) {
+        if (packages.has(name) || version !== infoMap.get(name).installed.version) {
+            resolved.set(name, version);
+        }
+    }
+    return resolved;
+}
+/**
+ * Fetches the full manifests of versions of registry packages, when only their abbreviated
+ * metadata was fetched.
+ * @param versions The versions to fetch, by package name.
+ * @returns The number of manifests that were fetched.
+ */
+async function _hydratePackageJsons(npmPackageJsonMap, versions, allDependencies, logger, npmOptions) {
+    const counts = await Promise.all([...versions.entries()]
+        .filter(([name]) => npmPackageJsonMap.has(name) && isPkgFromRegistry(name, allDependencies.get(name)))
+        .map(([name, packageVersions]) => npm_1.hydrateNpmPackageJson(npmPackageJsonMap.get(name), packageVersions.filter(x => !!x), logger, npmOptions)));
+    return counts.reduce((acc, count) => acc + count, 0);
 }
-function _getAllDependencies(tree) {
-    const packageJsonContent = tree.read('/package.json');
+function _readPackageJson(tree, path) {
+    const packageJsonContent = tree.read(path);
     if (!packageJsonContent) {
-        throw new schematics_1.SchematicsException('Could not find a package.json. Are you in a Node project?');
+        throw new schematics_1.SchematicsException(`Could not find ${path.substr(1)}. Are you in a Node project?`);
     }
-    let packageJson;
     try {
-        packageJson = JSON.parse(packageJsonContent.toString());
+        return JSON.parse(packageJsonContent.toString());
     }
     catch (e) {
-        throw new schematics_1.SchematicsException('package.json could not be parsed: ' + e.message);
+        throw new schematics_1.SchematicsException(`${path.substr(1)} could not be parsed: ` + e.message);
     }
+}
+function _getDependencies(packageJson) {
     return [
         ...Object.entries(packageJson.peerDependencies || {}),
         ...Object.entries(packageJson.devDependencies || {}),
         ...Object.entries(packageJson.dependencies || {}),
     ];
 }
+function _getAllDependencies(tree, manifests) {
+    // Later entries win, so the root package.json takes precedence over the workspace members.
+    return [...manifests]
+        .reverse()
+        .reduce((acc, path) => acc.concat(_getDependencies(_readPackageJson(tree, path))), []);
+}
+/**
+ * Maps every dependency to the names of the workspace members declaring it.
+ */
+function _getDependencyWorkspaces(tree, manifests) {
+    const dependencyWorkspaces = new Map();
+    for (const path of manifests) {
+        const packageJson = _readPackageJson(tree, path);
+        const workspaceName = path == '/package.json'
+            ? '(root)'
+            : packageJson.name || path.substr(1, path.length - '/package.json'.length - 1);
+        for (const [name] of _getDependencies(packageJson)) {
+            const workspaces = dependencyWorkspaces.get(name) || [];
+            if (!workspaces.includes(workspaceName)) {
+                workspaces.push(workspaceName);
+            }
+            dependencyWorkspaces.set(name, workspaces);
+        }
+    }
+    return dependencyWorkspaces;
+}
+/**
+ * Maps every dependency to the directory of the package.json its specifier is taken from, which
+ * relative paths in the specifier are resolved from.
+ */
+function _getDependencyDirectories(tree, manifests) {
+    const dependencyDirectories = new Map();
+    // The first manifests take precedence, as in `_getAllDependencies`.
+    for (const manifest of [...manifests].reverse()) {
+        const directory = path.resolve(path.dirname(manifest).replace(/^\//, ''));
+        for (const [name] of _getDependencies(_readPackageJson(tree, manifest))) {
+            dependencyDirectories.set(name, directory);
+        }
+    }
+    return dependencyDirectories;
+}
 function _formatVersion(version) {
     if (version === undefined) {
         return undefined;
@@ -586,6 +1323,20 @@ function _formatVersion(version) {
     }
     return version;
 }
+/**
+ * Parses the `--scoped-registries` option, where each value is formatted as `@scope=url`.
+ */
+function _parseScopedRegistries(values) {
+    const scopedRegistries = {};
+    for (const value of values) {
+        const match = value.match(/^(@[^/=]+)=(.+)$/);
+        if (!match) {
+            throw new schematics_1.SchematicsException(`Invalid scoped registry: ${JSON.stringify(value)}. Expected '@scope=url'.`);
+        }
+        scopedRegistries[match[1]] = match[2];
+    }
+    return scopedRegistries;
+}
 /**
  * Returns whether or not the given package specifier (the value string in a
  * `package.json` dependency) is hosted in the NPM registry.
@@ -612,24 +1363,138 @@ function default_1(options) {
             throw new schematics_1.SchematicsException('--from requires that only a single package be passed.');
         }
     }
+    if (options.listMigrations || options.name) {
+        if (!options.migrateOnly) {
+            throw new schematics_1.SchematicsException('--list-migrations and --name require --migrate-only.');
+        }
+        if (options.packages.length !== 1) {
+            throw new schematics_1.SchematicsException('--list-migrations and --name require that only a single package be passed.');
+        }
+    }
+    if (options.skipInstall && options.transactional) {
+        throw new schematics_1.SchematicsException('--skip-install cannot be used with --transactional.');
+    }
     options.from = _formatVersion(options.from);
     options.to = _formatVersion(options.to);
-    const usingYarn = options.packageManager === 'yarn';
+    const scopedRegistries = _parseScopedRegistries(options.scopedRegistries || []);
+    const savePrefix = save_prefix_1.parseSavePrefixPolicies(options.savePrefix || []);
     return async (tree, context) => {
-        const logger = context.logger;
-        const npmDeps = new Map(_getAllDependencies(tree).filter(([name, specifier]) => {
+        const logger = options.json ? _createJsonLogger(context.logger) : context.logger;
+        const manifests = ['/package.json', ...workspaces_1.getWorkspaceManifestPaths(tree, logger)];
+        if (options.verbose && manifests.length > 1) {
+            logger.info(`Found ${manifests.length - 1} workspace members:`);
+            manifests.slice(1).forEach(path => logger.info(`  ${path.substr(1)}`));
+        }
+        const npmDeps = new Map(_getAllDependencies(tree, manifests).filter(([name, specifier]) => {
             try {
-                return isPkgFromRegistry(name, specifier);
+                if (isPkgFromRegistry(name, specifier)) {
+                    return true;
+                }
+                if (!non_registry_1.isNonRegistrySpecifier(name, specifier)) {
+                    return false;
+                }
+                if (options.offline && non_registry_1.requiresNetwork(name, specifier)) {
+                    logger.warn(`Package ${name} is installed from ${JSON.stringify(specifier)}, which cannot be `
+                        + 'resolved offline. Skipping.');
+                    return false;
+                }
+                return true;
             }
             catch (_a) {
                 logger.warn(`Package ${name} was not found on the registry. Skipping.`);
                 return false;
             }
         }));
-        const packages = _buildPackageList(options, npmDeps, logger);
+        let packages = _buildPackageList(options, npmDeps, logger);
+        const lock = lockfile_1.readLockfile(tree, logger);
+        const packageManager = package_manager_1.detectPackageManager(tree, logger, options.packageManager);
+        if (options.verbose) {
+            logger.info(`Using ${packageManager.name} (from ${packageManager.source}) to install packages.`);
+        }
+        if (options.diagnoseRegistry) {
+            npm_1.diagnoseRegistryConfig(Array.from(npmDeps.entries())
+                .filter(([name, specifier]) => isPkgFromRegistry(name, specifier))
+                .map(([name]) => name), logger, {
+                registryUrl: options.registry,
+                packageManager: packageManager.name,
+                scopedRegistries,
+            });
+            return;
+        }
+        if (options.transactional) {
+            const transaction = transaction_1.readTransaction(tree);
+            if (transaction && transaction.error) {
+                // The update was reverted, but installing the original packages did not complete.
+                logger.warn(`A previous transactional update was reverted: ${transaction.error}`);
+                transaction_1.deleteTransaction(tree);
+                context.addTask(_createInstallTask(packageManager.name));
+                logger.info('Run the update again once the original packages are installed.');
+                return;
+            }
+            else if (transaction && _isTransactionComplete(tree, lock, transaction)) {
+                transaction_1.deleteTransaction(tree);
+            }
+            else if (transaction) {
+                logger.warn('A previous transactional update did not complete. Reverting it...');
+                transaction_1.rollbackTransaction(tree, transaction);
+                context.addTask(_createInstallTask(packageManager.name));
+                logger.info('Run the update again once the original packages are installed.');
+                return;
+            }
+        }
+        if (options.verbose) {
+            logger.info(lock
+                ? `Using ${lock.path.substr(1)} to determine installed versions.`
+                : 'No lockfile found, using node_modules to determine installed versions.');
+        }
         // Grab all package.json from the npm repository. This requires a lot of HTTP calls so we
         // try to parallelize as many as possible.
-        const allPackageMetadata = await Promise.all(Array.from(npmDeps.keys()).map(depName => npm_1.getNpmPackageJson(depName, logger, { registryUrl: options.registry, usingYarn, verbose: options.verbose })));
+        const npmOptions = {
+            registryUrl: options.registry,
+            packageManager: packageManager.name,
+            verbose: options.verbose,
+            offline: options.offline,
+            cacheDirectory: options.cacheDirectory,
+            cacheTtl: options.cacheTtl,
+            scopedRegistries,
+            fetchConcurrency: options.fetchConcurrency,
+            fetchRetries: options.fetchRetries,
+            fetchTimeout: options.fetchTimeout,
+        };
+        const dependencyDirectories = _getDependencyDirectories(tree, manifests);
+        let fetched = 0;
+        const progressStep = Math.max(Math.ceil(npmDeps.size / 10), 1);
+        const allPackageMetadata = await Promise.all(Array.from(npmDeps.entries()).map(async ([depName, specifier]) => {
+            const npmPackageJson = await (isPkgFromRegistry(depName, specifier)
+                ? npm_1.getNpmPackageJson(depName, logger, npmOptions)
+                : non_registry_1.getNonRegistryPackageJson(depName, specifier, logger, {
+                    ...npmOptions,
+                    where: dependencyDirectories.get(depName),
+                }));
+            fetched++;
+            if (options.verbose && (fetched % progressStep == 0 || fetched == npmDeps.size)) {
+                logger.info(`Fetched ${fetched} of ${npmDeps.size} packages.`);
+            }
+            return npmPackageJson;
+        }));
+        const failed = allPackageMetadata.filter(npmPackageJson => npmPackageJson.fetchError);
+        if (failed.length > 0) {
+            logger.warn('The following packages could not be fetched and are left out of the update:\n'
+                + failed.map(({ requestedName, fetchError }) => `  - ${requestedName}: ${fetchError}`).join('\n')
+                + '\nRun the update with --diagnose-registry to check the registry settings and credentials.');
+        }
+        if (options.offline) {
+            const missing = allPackageMetadata
+                .filter(npmPackageJson => !npmPackageJson.name && !npmPackageJson.fetchError)
+                .map(npmPackageJson => npmPackageJson.requestedName);
+            if (missing.length > 0) {
+                throw new schematics_1.SchematicsException(core_1.tags.stripIndents `
+          The following packages are missing from the cache and cannot be resolved offline:
+            ${missing.map(name => `- ${name}`).join('\n')}
+          Run the update once without '--offline' and with the same '--cache-directory' to populate the cache.
+        `);
+            }
+        }
         // Build a map of all dependencies and their packageJson.
         const npmPackageJsonMap = allPackageMetadata.reduce((acc, npmPackageJson) => {
             // If the package was not found on the registry. It could be private, so we will just
@@ -640,43 +1505,151 @@ function default_1(options) {
             if (!npmPackageJson.name) {
                 if (npmPackageJson.requestedName && packages.has(npmPackageJson.requestedName)) {
                     throw new schematics_1.SchematicsException(`Package ${JSON.stringify(npmPackageJson.requestedName)} was not found on the `
-                        + 'registry. Cannot continue as this may be an error.');
+                        + 'registry. Cannot continue as this may be an error.'
+                        + (npmPackageJson.fetchError ? ` ${npmPackageJson.fetchError}` : ''));
                 }
             }
+            else if (!isPkgFromRegistry(npmPackageJson.name, npmDeps.get(npmPackageJson.name))
+                && !_hasInstalledVersion(tree, lock, npmPackageJson, npmDeps.get(npmPackageJson.name))) {
+                // The specifier of a package that is not from the registry might not resolve to the
+                // installed version anymore, e.g. once a local directory was modified.
+                const specifier = JSON.stringify(npmDeps.get(npmPackageJson.name));
+                if (packages.has(npmPackageJson.name)) {
+                    throw new schematics_1.SchematicsException(`The installed version of package ${JSON.stringify(npmPackageJson.name)} was `
+                        + `not found from ${specifier}. Install the packages again, then run the update.`);
+                }
+                logger.warn(`The installed version of package ${npmPackageJson.name} was not found from ${specifier}. Skipping.`);
+            }
             else {
                 // If a name is present, it is assumed to be fully populated
                 acc.set(npmPackageJson.name, npmPackageJson);
             }
             return acc;
         }, new Map());
-        // Augment the command line package list with packageGroups and forward peer dependencies.
-        // Each added package may uncover new package groups and peer dependencies, so we must
-        // repeat this process until the package list stabilizes.
-        let lastPackagesSize;
-        do {
-            lastPackagesSize = packages.size;
-            npmPackageJsonMap.forEach((npmPackageJson) => {
-                _addPackageGroup(tree, packages, npmDeps, npmPackageJson, logger);
-                _addPeerDependencies(tree, packages, npmDeps, npmPackageJson, npmPackageJsonMap, logger);
+        // Only the installed versions and the versions packages would be updated to by default need
+        // their `ng-update` metadata to analyze the update.
+        await _hydratePackageJsons(npmPackageJsonMap, new Map([...npmPackageJsonMap.values()].map(npmPackageJson => {
+            const name = npmPackageJson.name;
+            const installed = _buildPackageInfo(tree, new Map(), npmDeps, lock, npmPackageJson, logger).installed.version;
+            const requested = packages.get(name) || (options.next ? 'next' : 'latest');
+            return [name, [installed, _getRequestedVersions(npmPackageJson, requested, !!options.next)[0]]];
+        })), npmDeps, logger, npmOptions);
+        if (packages.size == 0 && (options.interactive || options.choicesFile)) {
+            // Pick the packages to update with prompts, or from the choices saved by a previous run.
+            const infoMap = new Map();
+            npmPackageJsonMap.forEach(npmPackageJson => {
+                infoMap.set(npmPackageJson.name, _buildPackageInfo(tree, packages, npmDeps, lock, npmPackageJson, logger));
             });
-        } while (packages.size > lastPackagesSize);
+            let choices;
+            if (options.interactive) {
+                choices = await _promptPackages(infoMap, !!options.next, options.choicesFile, logger);
+                if (Object.keys(choices).length == 0) {
+                    logger.info('No packages selected. Nothing to update.');
+                    return;
+                }
+            }
+            else {
+                const saved = choices_1.readChoices(tree, options.choicesFile);
+                if (!saved) {
+                    throw new schematics_1.SchematicsException(`The choices file ${options.choicesFile} was not found.`);
+                }
+                choices = saved.packages;
+            }
+            packages = _buildPackageList({ packages: Object.entries(choices).map(([name, version]) => `${name}@${version}`) }, npmDeps, logger);
+        }
+        // Augment the command line package list with packageGroups and the peer dependencies that
+        // need to be updated too, and pick versions of all of them that are compatible together.
+        if (packages.size > 0) {
+            const requested = packages;
+            packages = _resolvePackages(tree, requested, npmDeps, lock, npmPackageJsonMap, !!options.next, logger);
+            // The metadata of the versions picked may add package groups and requirements, which
+            // can change the versions picked.
+            while (await _hydratePackageJsons(npmPackageJsonMap, new Map([...packages.entries()].map(([name, version]) => [name, [version]])), npmDeps, logger, npmOptions) > 0) {
+                packages = _resolvePackages(tree, requested, npmDeps, lock, npmPackageJsonMap, !!options.next, logger);
+            }
+        }
+        if (options.verbose) {
+            npm_1.reportMetadataSize(logger);
+        }
         // Build the PackageInfo for each module.
         const packageInfoMap = new Map();
         npmPackageJsonMap.forEach((npmPackageJson) => {
-            packageInfoMap.set(npmPackageJson.name, _buildPackageInfo(tree, packages, npmDeps, npmPackageJson, logger));
+            packageInfoMap.set(npmPackageJson.name, _buildPackageInfo(tree, packages, npmDeps, lock, npmPackageJson, logger));
         });
+        if (options.verbose) {
+            packageInfoMap.forEach(info => {
+                logger.info(`Installed version of ${info.name} is ${info.installed.version} (from ${info.installed.source}).`);
+            });
+        }
+        const migrateOptions = {
+            resume: !!options.resume,
+            interactive: !!options.interactive,
+            choicesFile: options.choicesFile,
+            report: options.migrationReport,
+            continueOnError: !!options.continueOnError,
+            packageManager: packageManager.name,
+        };
+        // The migrations add their changes to the report, which must not contain previous runs.
+        const resetMigrationReport = () => {
+            if (options.migrationReport && tree.exists(options.migrationReport)) {
+                tree.delete(options.migrationReport);
+            }
+        };
         // Now that we have all the information, check the flags.
+        let conflicts = [];
+        let compatibility;
         if (packages.size > 0) {
-            if (options.migrateOnly && options.from && options.packages) {
-                _migrateOnly(packageInfoMap.get(options.packages[0]), context, options.from, options.to);
+            if (options.migrateOnly && (options.from || options.listMigrations || options.name) && options.packages) {
+                const info = packageInfoMap.get(options.packages[0]);
+                resetMigrationReport();
+                // Without --from, the migrations are listed or run from the installed version up to
+                // the version the package would be updated to.
+                const from = options.from || (info && info.installed.version);
+                const to = options.to || (!options.from && info && info.target ? info.target.version : undefined);
+                _migrateOnly(info, context, from, to, {
+                    ...migrateOptions,
+                    list: !!options.listMigrations,
+                    names: options.name ? options.name.split(',').map(x => x.trim()).filter(x => !!x) : undefined,
+                });
                 return;
             }
             const sublog = new core_1.logging.LevelCapLogger('validation', logger.createChild(''), 'warn');
-            _validateUpdatePackages(packageInfoMap, !!options.force, !!options.next, sublog);
-            _performUpdate(tree, context, packageInfoMap, logger, !!options.migrateOnly, !!options.migrateExternal);
+            compatibility = _getPeerCompatibility(tree, packageInfoMap, logger);
+            conflicts = _validateUpdatePackages(packageInfoMap, !!options.next, sublog, compatibility);
+        }
+        if (options.json || options.report) {
+            const report = JSON.stringify(await _buildReport(options, packages, packageInfoMap, conflicts, logger, npmOptions), null, 2);
+            if (options.report) {
+                _writeReport(options.report, report);
+            }
+            if (options.json) {
+                // The analysis is all that was asked for; nothing gets updated. It bypasses the logger,
+                // which only passes warnings and errors to stderr, so that stdout only holds the JSON.
+                process.stdout.write(report + '\n');
+                return;
+            }
+        }
+        if (packages.size > 0) {
+            if (!options.force && conflicts.length > 0) {
+                _suggestConflictResolution(packageInfoMap, conflicts, !!options.next, compatibility, logger);
+                if (conflicts.some(conflict => conflict.type == 'requirement')) {
+                    throw new schematics_1.SchematicsException(core_1.tags.stripIndents `Unmet requirements found.
+          The packages being updated declare that they require other packages at specific versions to be updated.
+          Update those packages first, or use the '--force' option to ignore the requirements.`);
+                }
+                throw new schematics_1.SchematicsException(core_1.tags.stripIndents `Incompatible peer dependencies found.
+        Peer dependency warnings when installing dependencies means that those dependencies might not work correctly together.
+        You can use the '--force' option to ignore incompatible peer dependencies and instead address these warnings later.`);
+            }
+            if (options.plan) {
+                await _printPlan(tree, manifests, packageInfoMap, logger, packageManager.name, npmOptions, savePrefix);
+                return;
+            }
+            resetMigrationReport();
+            _performUpdate(tree, context, manifests, packageInfoMap, logger, !!options.migrateOnly, !!options.migrateExternal, !!options.transactional, migrateOptions, savePrefix, packageManager.name, !!options.skipInstall);
         }
         else {
-            _usageMessage(options, packageInfoMap, logger);
+            _usageMessage(options, packageInfoMap, logger, manifests.length > 1 ? _getDependencyWorkspaces(tree, manifests) : undefined);
         }
     };
 }
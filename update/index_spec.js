@@ -0,0 +1,126 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const schematics_1 = require("@angular-devkit/schematics");
+const testing_1 = require("@angular-devkit/schematics/testing");
+const fs_1 = require("fs");
+const os_1 = require("os");
+const path = require("path");
+const packument_cache_1 = require("./packument-cache");
+describe('@schematics/update', () => {
+    const schematicRunner = new testing_1.SchematicTestRunner('@schematics/update', require.resolve('../collection.json'));
+    let cacheDirectory;
+    let appTree;
+    beforeEach(() => {
+        // Packages are read from the on-disk cache, so the tests don't need the registry.
+        cacheDirectory = fs_1.mkdtempSync(path.join(os_1.tmpdir(), 'angular-update-spec-'));
+        const versions = ['11.0.0', '12.0.0'];
+        packument_cache_1.writeCachedPackument(cacheDirectory, '//registry.npmjs.org/', '@angular/core', {
+            name: '@angular/core',
+            'dist-tags': { latest: '12.0.0' },
+            versions: versions.reduce((acc, version) => {
+                acc[version] = {
+                    name: '@angular/core',
+                    version,
+                    'ng-update': { migrations: './migrations.json' },
+                };
+                return acc;
+            }, {}),
+            time: versions.reduce((acc, version) => {
+                acc[version] = '2021-01-01T00:00:00.000Z';
+                return acc;
+            }, {}),
+        });
+        appTree = new testing_1.UnitTestTree(new schematics_1.HostTree());
+        appTree.create('/node_modules/@angular/core/package.json', JSON.stringify({ name: '@angular/core', version: '11.0.0' }));
+    });
+    afterEach(() => {
+        fs_1.rmSync(cacheDirectory, { recursive: true, force: true });
+    });
+    function update(range, savePrefix) {
+        appTree.create('/package.json', JSON.stringify({ dependencies: { '@angular/core': range } }));
+        return schematicRunner.runSchematicAsync('update', {
+            packages: ['@angular/core'],
+            registry: 'https://registry.npmjs.org/',
+            offline: true,
+            cacheDirectory,
+            ...(savePrefix ? { savePrefix: [savePrefix] } : {}),
+        }, appTree).toPromise();
+    }
+    function getTaskNames() {
+        return schematicRunner.tasks.map(task => task.name == 'run-schematic' ? task.options.name : task.name);
+    }
+    describe('with the keep save prefix', () => {
+        for (const range of ['>=11.0.0', '*', '^11.0.0 || ^12.0.0', '11.x || 12.x']) {
+            it(`installs and migrates when ${JSON.stringify(range)} already accepts the target`, async () => {
+                const tree = await update(range, 'keep');
+                expect(JSON.parse(tree.readContent('/package.json')).dependencies['@angular/core']).toBe(range);
+                expect(getTaskNames()).toEqual(['node-package', 'migrate']);
+                const migrate = schematicRunner.tasks[1].options;
+                expect(migrate.options.from).toBe('11.0.0');
+                expect(migrate.options.to).toBe('12.0.0');
+            });
+        }
+        it('updates ranges that do not accept the target', async () => {
+            const tree = await update('^11.0.0', 'keep');
+            expect(JSON.parse(tree.readContent('/package.json')).dependencies['@angular/core']).toBe('^12.0.0');
+            expect(getTaskNames()).toEqual(['node-package', 'migrate']);
+        });
+    });
+    describe('peer compatibility', () => {
+        function writePackage(name, manifests) {
+            packument_cache_1.writeCachedPackument(cacheDirectory, '//registry.npmjs.org/', name, {
+                name,
+                'dist-tags': { latest: manifests[manifests.length - 1].version },
+                versions: manifests.reduce((acc, manifest) => {
+                    acc[manifest.version] = { name, ...manifest };
+                    return acc;
+                }, {}),
+                time: manifests.reduce((acc, { version }) => {
+                    acc[version] = '2021-01-01T00:00:00.000Z';
+                    return acc;
+                }, {}),
+            });
+        }
+        // Packuments are kept in memory once fetched, so each spec uses its own package family.
+        function updateCore(family, coreMetadata) {
+            const core = `${family}/core`;
+            const forms = `${family}/forms`;
+            const packageGroup = [core, forms];
+            writePackage(core, [
+                { version: '1.0.0' },
+                { version: '2.0.0', 'ng-update': { packageGroup, ...coreMetadata } },
+            ]);
+            writePackage(forms, [{ version: '1.0.0' }, { version: '2.0.0', 'ng-update': { packageGroup } }]);
+            // A package of another family, which is not updated, only accepts the installed major.
+            writePackage(`${family}-other/ui`, [{ version: '1.0.0', peerDependencies: { [forms]: '^1.0.0' } }]);
+            const dependencies = { [core]: '^1.0.0', [forms]: '^1.0.0', [`${family}-other/ui`]: '^1.0.0' };
+            appTree.create('/package.json', JSON.stringify({ dependencies }));
+            for (const name of Object.keys(dependencies)) {
+                appTree.create(`/node_modules/${name}/package.json`, JSON.stringify({ name, version: '1.0.0' }));
+            }
+            return schematicRunner.runSchematicAsync('update', {
+                packages: [core],
+                registry: 'https://registry.npmjs.org/',
+                offline: true,
+                cacheDirectory,
+            }, appTree).toPromise();
+        }
+        it('extends the peer ranges of dependents with the rules of the package group of the peer', async () => {
+            const tree = await updateCore('@lib', { peerCompatibility: { '@lib/core': 'nextMajor' } });
+            const dependencies = JSON.parse(tree.readContent('/package.json')).dependencies;
+            expect(dependencies['@lib/core']).toBe('^2.0.0');
+            expect(dependencies['@lib/forms']).toBe('^2.0.0');
+        });
+        it('does not let a package extend the peer ranges of another package group', async () => {
+            await expectAsync(updateCore('@kit', { peerCompatibility: { '@kit-other/ui': '*' } }))
+                .toBeRejectedWithError(/Incompatible peer dependencies found/);
+        });
+    });
+});
@@ -0,0 +1,27 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { NpmRepositoryPackageJson } from './npm-package-json';
+export interface OutdatedPackage {
+    name: string;
+    npmPackageJson: NpmRepositoryPackageJson;
+    installed: string;
+    version: string;
+    tag: string;
+}
+/**
+ * Asks which of the outdated packages to update, and to which version or dist-tag.
+ * @param outdated The packages that can be updated, with the version or dist-tag suggested.
+ * @returns The packages to update, mapped to the version or dist-tag chosen.
+ */
+export declare function promptPackages(outdated: OutdatedPackage[]): Promise<{
+    [name: string]: string;
+}>;
+/**
+ * Asks whether to run an optional migration.
+ */
+export declare function promptMigration(packageName: string, name: string, description?: string): Promise<boolean>;
@@ -0,0 +1,96 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.promptMigration = exports.promptPackages = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const schematics_1 = require("@angular-devkit/schematics");
+const semver = require("semver");
+/**
+ * Asks the given questions. Inquirer is only loaded when prompting, as it is slow to load.
+ */
+function _prompt(questions) {
+    if (!process.stdin.isTTY) {
+        throw new schematics_1.SchematicsException('The interactive mode requires a terminal. Use a choices file saved by an interactive '
+            + 'update to update without prompts.');
+    }
+    const inquirer = require('inquirer');
+    return inquirer.prompt(questions);
+}
+/**
+ * Lists the versions a package can be updated to: the dist-tags that are ahead of the installed
+ * version, followed by the greatest version of every major that is not tagged.
+ */
+function _getVersionChoices(npmPackageJson, installedVersion) {
+    const choices = [];
+    const versions = new Set();
+    for (const [tag, version] of Object.entries(npmPackageJson['dist-tags'])) {
+        if (semver.valid(version) && semver.gt(version, installedVersion) && !versions.has(version)) {
+            versions.add(version);
+            choices.push({ name: `${version} (${tag})`, value: tag });
+        }
+    }
+    const majors = new Map();
+    for (const version of Object.keys(npmPackageJson.versions)) {
+        if (!semver.valid(version) || semver.prerelease(version) || !semver.gt(version, installedVersion)) {
+            continue;
+        }
+        const major = semver.major(version);
+        if (!majors.has(major) || semver.gt(version, majors.get(major))) {
+            majors.set(major, version);
+        }
+    }
+    [...majors.values()]
+        .filter(version => !versions.has(version))
+        .sort(semver.rcompare)
+        .forEach(version => choices.push({ name: version, value: version }));
+    return choices;
+}
+/**
+ * Asks which of the outdated packages to update, and to which version or dist-tag.
+ * @param outdated The packages that can be updated, with the version or dist-tag suggested.
+ * @returns The packages to update, mapped to the version or dist-tag chosen.
+ */
+async function promptPackages(outdated) {
+    const { selected } = await _prompt([{
+            type: 'checkbox',
+            name: 'selected',
+            message: 'Select the packages to update:',
+            choices: outdated.map(({ name, installed, version }) => ({
+                name: `${name} (${installed} -> ${version})`,
+                value: name,
+            })),
+        }]);
+    const packages = {};
+    for (const name of selected) {
+        const { npmPackageJson, installed, tag } = outdated.find(x => x.name == name);
+        const { target } = await _prompt([{
+                type: 'list',
+                name: 'target',
+                message: `Version of ${name} to update to:`,
+                choices: _getVersionChoices(npmPackageJson, installed),
+                default: tag,
+            }]);
+        packages[name] = target;
+    }
+    return packages;
+}
+exports.promptPackages = promptPackages;
+/**
+ * Asks whether to run an optional migration.
+ */
+async function promptMigration(packageName, name, description) {
+    const { run } = await _prompt([{
+            type: 'confirm',
+            name: 'run',
+            message: `Run the optional migration ${name} of package '${packageName}'?`
+                + (description ? `\n  ${description}\n ` : ''),
+            default: true,
+        }]);
+    return run;
+}
+exports.promptMigration = promptMigration;
@@ -0,0 +1,38 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { JsonValue } from '@angular-devkit/core';
+export interface JsonFormat {
+    /**
+     * The indentation of one level, e.g. two spaces or a tab.
+     */
+    indent: string;
+    newline: '\n' | '\r\n';
+}
+export interface JsonEdit {
+    /**
+     * The keys leading to the property, from the root object.
+     */
+    path: string[];
+    /**
+     * The new value of the property, or undefined to remove it.
+     */
+    value?: JsonValue;
+}
+/**
+ * Detects the indentation and the line endings of a JSON file. Files without indented lines are
+ * assumed to use two spaces.
+ */
+export declare function detectFormat(content: string): JsonFormat;
+/**
+ * Edits properties of a JSON document in place, keeping the formatting and the order of every
+ * other property. Properties that don't exist are added at the end of their parent object, with
+ * the indentation and line endings of the document.
+ * @param edits The properties to change, by path. An undefined value removes the property.
+ * @throws When the parent of a property is not an object.
+ */
+export declare function editJson(content: string, edits: JsonEdit[]): string;
@@ -0,0 +1,94 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.editJson = exports.detectFormat = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const core_1 = require("@angular-devkit/core");
+const schematics_1 = require("@angular-devkit/schematics");
+/**
+ * Detects the indentation and the line endings of a JSON file. Files without indented lines are
+ * assumed to use two spaces.
+ */
+function detectFormat(content) {
+    const indentMatch = /\n([ \t]+)\S/.exec(content);
+    return {
+        indent: indentMatch ? indentMatch[1] : '  ',
+        newline: content.includes('\r\n') ? '\r\n' : '\n',
+    };
+}
+exports.detectFormat = detectFormat;
+function _findObject(ast, path) {
+    let node = ast;
+    for (const key of path) {
+        const property = node.kind == 'object' && node.properties.find(p => p.key.value == key);
+        if (!property) {
+            return undefined;
+        }
+        node = property.value;
+    }
+    return node.kind == 'object' ? node : undefined;
+}
+/**
+ * Returns the whitespace at the start of the line an offset is on.
+ */
+function _getLineIndent(content, offset) {
+    const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+    return /^[ \t]*/.exec(content.substr(lineStart))[0];
+}
+function _applyEdit(content, edit, format) {
+    const ast = core_1.parseJsonAst(content, core_1.JsonParseMode.Strict);
+    const key = edit.path[edit.path.length - 1];
+    const object = _findObject(ast, edit.path.slice(0, -1));
+    if (!object) {
+        throw new schematics_1.SchematicsException(`Cannot edit ${JSON.stringify(edit.path.join('.'))}: its parent is not an object.`);
+    }
+    const properties = object.properties;
+    const index = properties.findIndex(p => p.key.value == key);
+    const property = properties[index];
+    const splice = (start, end, text) => content.substr(0, start) + text + content.substr(end);
+    if (edit.value === undefined) {
+        if (!property) {
+            return content;
+        }
+        else if (properties.length == 1) {
+            return splice(object.start.offset + 1, object.end.offset - 1, '');
+        }
+        else if (index < properties.length - 1) {
+            return splice(property.start.offset, properties[index + 1].start.offset, '');
+        }
+        return splice(properties[index - 1].value.end.offset, property.value.end.offset, '');
+    }
+    const value = JSON.stringify(edit.value, null, format.indent).replace(/\n/g, format.newline);
+    if (property) {
+        return splice(property.value.start.offset, property.value.end.offset, value);
+    }
+    const entry = `${JSON.stringify(key)}: ${value}`;
+    if (properties.length > 0) {
+        const last = properties[properties.length - 1];
+        // Objects on a single line stay on a single line.
+        const separator = content.substring(object.start.offset, last.start.offset).includes('\n')
+            ? format.newline + _getLineIndent(content, last.start.offset)
+            : ' ';
+        return splice(last.value.end.offset, last.value.end.offset, `,${separator}${entry}`);
+    }
+    const lineIndent = _getLineIndent(content, object.start.offset);
+    return splice(object.start.offset + 1, object.end.offset - 1, format.newline + lineIndent + format.indent + entry + format.newline + lineIndent);
+}
+/**
+ * Edits properties of a JSON document in place, keeping the formatting and the order of every
+ * other property. Properties that don't exist are added at the end of their parent object, with
+ * the indentation and line endings of the document.
+ * @param edits The properties to change, by path. An undefined value removes the property.
+ * @throws When the parent of a property is not an object.
+ */
+function editJson(content, edits) {
+    const format = detectFormat(content);
+    // The document is parsed again after each edit, as the offsets of the next edit may change.
+    return edits.reduce((acc, edit) => _applyEdit(acc, edit, format), content);
+}
+exports.editJson = editJson;
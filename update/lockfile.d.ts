@@ -0,0 +1,31 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { logging } from '@angular-devkit/core';
+import { Tree } from '@angular-devkit/schematics';
+export interface LockfileEntry {
+    version: string;
+    range?: string;
+}
+export interface Lockfile {
+    path: string;
+    entries: Map<string, LockfileEntry[]>;
+}
+/**
+ * The lockfiles that are supported, in the order they are looked for.
+ */
+export declare const lockfilePaths: string[];
+/**
+ * Reads the first lockfile found at the root of the tree.
+ * @returns The lockfile, or undefined if none could be found or parsed.
+ */
+export declare function readLockfile(tree: Tree, logger: logging.LoggerApi): Lockfile | undefined;
+/**
+ * Returns the version of a package that is locked in the lockfile. When multiple versions of the
+ * package are locked, the one matching the range from package.json is preferred.
+ */
+export declare function getLockfileVersion(lock: Lockfile, name: string, range: string): string | undefined;
@@ -0,0 +1,157 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.getLockfileVersion = exports.readLockfile = exports.lockfilePaths = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const semver = require("semver");
+const lockfile = require('@yarnpkg/lockfile');
+const yaml = require('js-yaml');
+function _addEntry(entries, name, version, range) {
+    if (typeof version != 'string' || !semver.valid(version)) {
+        return;
+    }
+    const list = entries.get(name) || [];
+    list.push({ version, range });
+    entries.set(name, list);
+}
+/**
+ * Splits a lockfile key such as `@angular/core@^11.0.0` into the package name and range.
+ */
+function _splitPackageKey(key) {
+    const index = key.lastIndexOf('@');
+    if (index <= 0) {
+        return [key, undefined];
+    }
+    // Yarn 2+ prefixes the range with the protocol.
+    return [key.substr(0, index), key.substr(index + 1).replace(/^npm:/, '')];
+}
+function _parseNpmLockfile(content) {
+    const json = JSON.parse(content);
+    const entries = new Map();
+    // Lockfile v2 and above list the packages by their location in `node_modules`. The packages of
+    // workspace members that could not be hoisted are in the `node_modules` of the member.
+    if (json.packages && typeof json.packages == 'object') {
+        for (const [location, info] of Object.entries(json.packages)) {
+            const match = location.match(/^(?:(.+)\/)?node_modules\/((?:@[^/]+\/)?[^/]+)$/);
+            if (match && info && !(match[1] && match[1].includes('node_modules'))) {
+                _addEntry(entries, match[2], info.version);
+            }
+        }
+        if (entries.size > 0) {
+            return entries;
+        }
+    }
+    for (const [name, info] of Object.entries(json.dependencies || {})) {
+        if (info) {
+            _addEntry(entries, name, info.version);
+        }
+    }
+    return entries;
+}
+function _parseYarnLockfile(content) {
+    let packages;
+    if (content.match(/^__metadata:/m)) {
+        // Yarn 2+ lockfiles are YAML, and group every range resolving to the same version in a
+        // single key separated by commas.
+        packages = {};
+        for (const [keys, info] of Object.entries(yaml.load(content) || {})) {
+            for (const key of keys.split(/,\s*/)) {
+                packages[key] = info;
+            }
+        }
+    }
+    else {
+        const result = lockfile.parse(content);
+        if (result.type != 'success') {
+            throw new Error('merge conflicts are present');
+        }
+        packages = result.object;
+    }
+    const entries = new Map();
+    for (const [key, info] of Object.entries(packages)) {
+        if (key == '__metadata' || !info) {
+            continue;
+        }
+        const [name, range] = _splitPackageKey(key);
+        _addEntry(entries, name, info.version, range);
+    }
+    return entries;
+}
+function _parsePnpmLockfile(content) {
+    const json = yaml.load(content) || {};
+    // Workspaces have an importer for the root and for each member, keyed by their directory.
+    const importers = json.importers ? Object.values(json.importers) : [json];
+    const entries = new Map();
+    for (const importer of importers) {
+        if (!importer) {
+            continue;
+        }
+        const specifiers = importer.specifiers || {};
+        for (const field of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+            for (const [name, value] of Object.entries(importer[field] || {})) {
+                // Newer lockfiles store an object with the specifier, older ones only the version.
+                const info = value && typeof value == 'object' ? value : { version: value };
+                // Strip the peer dependencies suffix, e.g. `11.2.0_rxjs@6.6.3`.
+                const version = typeof info.version == 'string'
+                    ? info.version.replace(/[_(].*$/, '')
+                    : undefined;
+                _addEntry(entries, name, version, info.specifier || specifiers[name]);
+            }
+        }
+    }
+    return entries;
+}
+const lockfileParsers = [
+    ['/package-lock.json', _parseNpmLockfile],
+    ['/npm-shrinkwrap.json', _parseNpmLockfile],
+    ['/yarn.lock', _parseYarnLockfile],
+    ['/pnpm-lock.yaml', _parsePnpmLockfile],
+];
+/**
+ * The lockfiles that are supported, in the order they are looked for.
+ */
+exports.lockfilePaths = lockfileParsers.map(([path]) => path);
+/**
+ * Reads the first lockfile found at the root of the tree.
+ * @returns The lockfile, or undefined if none could be found or parsed.
+ */
+function readLockfile(tree, logger) {
+    for (const [path, parse] of lockfileParsers) {
+        const content = tree.read(path);
+        if (!content) {
+            continue;
+        }
+        try {
+            return { path, entries: parse(content.toString()) };
+        }
+        catch (e) {
+            logger.warn(`${path.substr(1)} could not be parsed: ${e.message}. Ignoring.`);
+        }
+    }
+    return undefined;
+}
+exports.readLockfile = readLockfile;
+/**
+ * Returns the version of a package that is locked in the lockfile. When multiple versions of the
+ * package are locked, the one matching the range from package.json is preferred.
+ */
+function getLockfileVersion(lock, name, range) {
+    const entries = lock.entries.get(name);
+    if (!entries || entries.length == 0) {
+        return undefined;
+    }
+    const exactMatch = entries.find(entry => entry.range === range);
+    if (exactMatch) {
+        return exactMatch.version;
+    }
+    if (entries.length == 1) {
+        return entries[0].version;
+    }
+    return semver.maxSatisfying(entries.map(entry => entry.version), range) || undefined;
+}
+exports.getLockfileVersion = getLockfileVersion;
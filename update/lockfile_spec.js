@@ -0,0 +1,75 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const core_1 = require("@angular-devkit/core");
+const schematics_1 = require("@angular-devkit/schematics");
+const fs_1 = require("fs");
+const path = require("path");
+const lockfile_1 = require("./lockfile");
+describe('readLockfile', () => {
+    const logger = new core_1.logging.NullLogger();
+    function read(fixture, lockfilePath) {
+        const tree = new schematics_1.HostTree();
+        tree.create(lockfilePath, fs_1.readFileSync(path.join(__dirname, 'test/lockfiles', fixture)));
+        const lock = lockfile_1.readLockfile(tree, logger);
+        expect(lock && lock.path).toBe(lockfilePath);
+        return lock;
+    }
+    it('reads npm v1 lockfiles', () => {
+        const lock = read('package-lock-v1.json', '/package-lock.json');
+        expect(lockfile_1.getLockfileVersion(lock, '@angular/core', '^11.0.0')).toBe('11.2.0');
+        expect(lockfile_1.getLockfileVersion(lock, 'rxjs', '~6.6.0')).toBe('6.6.3');
+        // The tslib nested in rxjs is not the one of the project.
+        expect(lockfile_1.getLockfileVersion(lock, 'tslib', '^2.0.0')).toBe('2.1.0');
+    });
+    it('reads npm v2 lockfiles, including the packages of workspace members', () => {
+        const lock = read('package-lock-v2-workspace.json', '/package-lock.json');
+        expect(lockfile_1.getLockfileVersion(lock, '@angular/core', '^11.0.0')).toBe('11.2.0');
+        expect(lockfile_1.getLockfileVersion(lock, 'typescript', '~4.2.0')).toBe('4.2.4');
+        expect(lockfile_1.getLockfileVersion(lock, 'rxjs', '^7.0.0')).toBe('7.0.0');
+        // Links to workspace members have no version.
+        expect(lockfile_1.getLockfileVersion(lock, 'app', '*')).toBeUndefined();
+    });
+    it('reads yarn classic lockfiles, matching the range from package.json', () => {
+        const lock = read('yarn-classic.lock', '/yarn.lock');
+        expect(lockfile_1.getLockfileVersion(lock, '@angular/core', '~11.2.0')).toBe('11.2.0');
+        expect(lockfile_1.getLockfileVersion(lock, '@angular/core', '^10.0.0')).toBe('10.2.4');
+        expect(lockfile_1.getLockfileVersion(lock, 'tslib', '^2.0.0')).toBe('2.1.0');
+    });
+    it('reads yarn berry lockfiles, matching the range from package.json', () => {
+        const lock = read('yarn-berry.lock', '/yarn.lock');
+        expect(lockfile_1.getLockfileVersion(lock, '@angular/core', '^11.0.0')).toBe('11.2.0');
+        expect(lockfile_1.getLockfileVersion(lock, '@angular/core', '^10.0.0')).toBe('10.2.4');
+        expect(lockfile_1.getLockfileVersion(lock, 'tslib', '^2.0.0')).toBe('2.1.0');
+    });
+    it('reads pnpm lockfiles without importers, stripping the peer dependencies suffix', () => {
+        const lock = read('pnpm-lock.yaml', '/pnpm-lock.yaml');
+        expect(lockfile_1.getLockfileVersion(lock, '@angular/core', '^11.0.0')).toBe('11.2.0');
+        expect(lockfile_1.getLockfileVersion(lock, 'rxjs', '~6.6.0')).toBe('6.6.3');
+    });
+    it('reads the importers of every member of pnpm workspaces', () => {
+        const lock = read('pnpm-lock-workspace.yaml', '/pnpm-lock.yaml');
+        expect(lockfile_1.getLockfileVersion(lock, 'typescript', '~4.2.0')).toBe('4.2.4');
+        expect(lockfile_1.getLockfileVersion(lock, '@angular/core', '^11.0.0')).toBe('11.2.0');
+        expect(lockfile_1.getLockfileVersion(lock, 'rxjs', '^6.6.0')).toBe('6.6.3');
+        expect(lockfile_1.getLockfileVersion(lock, 'rxjs', '^7.0.0')).toBe('7.0.0');
+        // Links to workspace members have no version.
+        expect(lockfile_1.getLockfileVersion(lock, 'lib', 'workspace:*')).toBeUndefined();
+    });
+    it('ignores lockfiles that cannot be parsed', () => {
+        const tree = new schematics_1.HostTree();
+        tree.create('/package-lock.json', '{');
+        tree.create('/yarn.lock', fs_1.readFileSync(path.join(__dirname, 'test/lockfiles/yarn-classic.lock')));
+        const messages = [];
+        const warnings = new core_1.logging.Logger('test');
+        warnings.subscribe(entry => messages.push(entry.message));
+        expect((lockfile_1.readLockfile(tree, warnings) || { path: undefined }).path).toBe('/yarn.lock');
+        expect(messages.length).toBe(1);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { logging } from '@angular-devkit/core';
+import { NpmRepositoryPackageJson } from './npm-package-json';
+import { JsonSchemaForNpmPackageJsonFiles } from './package-json';
+export declare type NonRegistryPackageJson = JsonSchemaForNpmPackageJsonFiles & {
+    /**
+     * The git ref of the version, if it is a tag or the committish of the installed specifier.
+     */
+    _ref?: string;
+    /**
+     * The specifier to fetch the version with, including the package name.
+     */
+    _spec: string;
+    /**
+     * The directory relative paths in the specifier are resolved from.
+     */
+    _where?: string;
+    /**
+     * Whether the whole manifest was fetched, rather than only the name and version of a tag.
+     */
+    _hydrated?: boolean;
+};
+export interface NonRegistryOptions {
+    registryUrl?: string;
+    packageManager?: 'npm' | 'yarn' | 'cnpm' | 'pnpm';
+    verbose?: boolean;
+    scopedRegistries?: {
+        [scope: string]: string;
+    };
+    /**
+     * The directory of the package.json declaring the package, which relative paths in its
+     * specifier are resolved from. Defaults to the current directory.
+     */
+    where?: string;
+}
+/**
+ * Returns whether a specifier is a git repository, a tarball URL, or a local tarball or directory.
+ * @throws When the specifier cannot be parsed.
+ */
+export declare function isNonRegistrySpecifier(name: string, specifier: string): boolean;
+/**
+ * Returns whether a specifier needs the network to be resolved, as opposed to local tarballs,
+ * directories and repositories.
+ */
+export declare function requiresNetwork(name: string, specifier: string): boolean;
+/**
+ * Builds package metadata like the one from the registry for a package that is installed from a
+ * git repository, a tarball or a local directory. The version the specifier currently resolves to
+ * is tagged `current`; for git repositories, semver tags are available versions too.
+ * @returns The package metadata, or only the requested name and the reason if it could not be
+ *     resolved.
+ */
+export declare function getNonRegistryPackageJson(name: string, specifier: string, logger: logging.LoggerApi, options?: NonRegistryOptions): Promise<Partial<NpmRepositoryPackageJson>>;
+/**
+ * Returns the specifier to write to package.json to install a version of a package that is not
+ * from the registry. Git specifiers point to the tag of the version, or keep a `semver:` range
+ * with the same prefix. Other specifiers are kept as they are.
+ */
+export declare function getUpdatedSpecifier(name: string, specifier: string, packageJson: NonRegistryPackageJson): string;
+/**
+ * Extracts a version of a package that is not from the registry.
+ */
+export declare function extractNonRegistryPackage(packageJson: NonRegistryPackageJson, destination: string, logger: logging.LoggerApi, options?: NonRegistryOptions): Promise<void>;
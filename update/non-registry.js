@@ -0,0 +1,152 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.extractNonRegistryPackage = exports.getUpdatedSpecifier = exports.getNonRegistryPackageJson = exports.requiresNetwork = exports.isNonRegistrySpecifier = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const git = require("@npmcli/git");
+const npa = require("npm-package-arg");
+const pacote = require("pacote");
+const semver = require("semver");
+const npm_1 = require("./npm");
+const nonRegistryTypes = ['git', 'remote', 'file', 'directory'];
+/**
+ * Returns whether a specifier is a git repository, a tarball URL, or a local tarball or directory.
+ * @throws When the specifier cannot be parsed.
+ */
+function isNonRegistrySpecifier(name, specifier) {
+    return nonRegistryTypes.includes(npa.resolve(name, specifier).type);
+}
+exports.isNonRegistrySpecifier = isNonRegistrySpecifier;
+/**
+ * Returns whether a specifier needs the network to be resolved, as opposed to local tarballs,
+ * directories and repositories.
+ */
+function requiresNetwork(name, specifier) {
+    const spec = npa.resolve(name, specifier);
+    return (spec.type == 'git' && !(spec.fetchSpec && spec.fetchSpec.startsWith('file:')))
+        || spec.type == 'remote';
+}
+exports.requiresNetwork = requiresNetwork;
+/**
+ * Returns the options to fetch a package that is not from the registry with. The RC settings,
+ * such as the proxy and the credentials, apply to tarball URLs and hosted git repositories too.
+ */
+function _getPacoteOptions(name, logger, options) {
+    return {
+        ...npm_1.getPacoteOptions(name, logger, { ...options, verbose: false }),
+        // Relative paths are resolved from the directory of the package.json declaring them.
+        where: options.where,
+    };
+}
+/**
+ * Adds a version for every semver tag of a git repository. Only the manifests of the versions
+ * tagged `latest` and `next` are fetched, as each requires a clone; the other tags only have a
+ * name and a version.
+ */
+async function _addGitTags(packument, name, spec, specifier, pacoteOptions) {
+    const repository = spec.hosted
+        ? spec.hosted.https({ noCommittish: true }).replace(/^git\+/, '')
+        : spec.fetchSpec;
+    const revs = await git.revs(repository);
+    const base = specifier.replace(/#.*$/, '');
+    for (const [version, { ref }] of Object.entries(revs.versions)) {
+        if (!packument.versions[version]) {
+            packument.versions[version] = {
+                name,
+                version,
+                _ref: ref,
+                _spec: `${name}@${base}#${ref}`,
+                _where: pacoteOptions.where,
+            };
+        }
+        else if (!packument.versions[version]._ref) {
+            packument.versions[version]._ref = ref;
+        }
+    }
+    const tags = Object.keys(revs.versions);
+    const latest = semver.maxSatisfying(tags, '*') || semver.maxSatisfying(tags, '*', { includePrerelease: true });
+    const next = semver.maxSatisfying(tags, '*', { includePrerelease: true });
+    if (latest && semver.gt(latest, packument['dist-tags']['latest'])) {
+        packument['dist-tags']['latest'] = latest;
+    }
+    if (next && next != latest && semver.gt(next, packument['dist-tags']['latest'])) {
+        packument['dist-tags']['next'] = next;
+    }
+    for (const tag of ['latest', 'next']) {
+        const version = packument['dist-tags'][tag];
+        const versionJson = version && packument.versions[version];
+        if (versionJson && versionJson._spec && !versionJson._hydrated) {
+            const manifest = await pacote.manifest(versionJson._spec, pacoteOptions);
+            packument.versions[version] = { ...versionJson, ...manifest, _hydrated: true };
+        }
+    }
+}
+/**
+ * Builds package metadata like the one from the registry for a package that is installed from a
+ * git repository, a tarball or a local directory. The version the specifier currently resolves to
+ * is tagged `current`; for git repositories, semver tags are available versions too.
+ * @returns The package metadata, or only the requested name and the reason if it could not be
+ *     resolved.
+ */
+async function getNonRegistryPackageJson(name, specifier, logger, options = {}) {
+    const spec = npa.resolve(name, specifier, options.where);
+    const pacoteOptions = _getPacoteOptions(name, logger, options);
+    try {
+        const current = await pacote.manifest(`${name}@${specifier}`, pacoteOptions);
+        const packument = {
+            name,
+            'dist-tags': { current: current.version, latest: current.version },
+            versions: {
+                [current.version]: {
+                    ...current,
+                    _ref: spec.gitCommittish && !spec.gitRange ? spec.gitCommittish : undefined,
+                    _spec: `${name}@${specifier}`,
+                    _where: options.where,
+                    _hydrated: true,
+                },
+            },
+        };
+        if (spec.type == 'git') {
+            await _addGitTags(packument, name, spec, specifier, pacoteOptions);
+        }
+        if (options.verbose) {
+            logger.info(`Resolved ${name} from ${JSON.stringify(specifier)}: `
+                + `${Object.keys(packument.versions).length} version(s) available.`);
+        }
+        return packument;
+    }
+    catch (e) {
+        return { requestedName: name, fetchError: `Could not resolve ${JSON.stringify(specifier)}: ${e.message}` };
+    }
+}
+exports.getNonRegistryPackageJson = getNonRegistryPackageJson;
+/**
+ * Returns the specifier to write to package.json to install a version of a package that is not
+ * from the registry. Git specifiers point to the tag of the version, or keep a `semver:` range
+ * with the same prefix. Other specifiers are kept as they are.
+ */
+function getUpdatedSpecifier(name, specifier, packageJson) {
+    const spec = npa.resolve(name, specifier);
+    if (spec.type != 'git') {
+        return specifier;
+    }
+    const base = specifier.replace(/#.*$/, '');
+    if (spec.gitRange) {
+        const prefix = /^[\^~]/.exec(spec.gitRange);
+        return `${base}#semver:${prefix ? prefix[0] : ''}${packageJson.version}`;
+    }
+    return packageJson._ref ? `${base}#${packageJson._ref}` : specifier;
+}
+exports.getUpdatedSpecifier = getUpdatedSpecifier;
+/**
+ * Extracts a version of a package that is not from the registry.
+ */
+async function extractNonRegistryPackage(packageJson, destination, logger, options = {}) {
+    await pacote.extract(packageJson._spec, destination, _getPacoteOptions(packageJson.name, logger, { ...options, where: packageJson._where }));
+}
+exports.extractNonRegistryPackage = extractNonRegistryPackage;
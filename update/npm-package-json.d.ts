@@ -9,6 +9,10 @@ import { JsonSchemaForNpmPackageJsonFiles } from './package-json';
 export interface NpmRepositoryPackageJson {
     name: string;
     requestedName: string;
+    /**
+     * Why the package could not be fetched, if it could not.
+     */
+    fetchError?: string;
     description: string;
     'dist-tags': {
         [name: string]: string;
@@ -7,16 +7,113 @@
  */
 import { logging } from '@angular-devkit/core';
 import { NpmRepositoryPackageJson } from './npm-package-json';
+/**
+ * Returns the options pacote needs to fetch a package: the RC settings, such as the proxy, and the
+ * registry and credentials of the package.
+ * @private
+ */
+export declare function getPacoteOptions(packageName: string, logger: logging.LoggerApi, options?: {
+    registryUrl?: string;
+    packageManager?: 'npm' | 'yarn' | 'cnpm' | 'pnpm';
+    verbose?: boolean;
+    scopedRegistries?: {
+        [scope: string]: string;
+    };
+}): {
+    [key: string]: unknown;
+};
 /**
  * Get the NPM repository's package.json for a package. This is p
  * @param {string} packageName The package name to fetch.
  * @param {string} registryUrl The NPM Registry URL to use.
  * @param {LoggerApi} logger A logger instance to log debug information.
- * @returns An observable that will put the pacakge.json content.
+ * @param options.packageManager The package manager whose configuration files are read for the
+ *     registry settings.
+ * @param options.offline Only read from the on-disk cache, never from the registry.
+ * @param options.cacheDirectory The directory of the on-disk packument cache.
+ * @param options.cacheTtl Seconds during which a cached packument is used instead of fetching it.
+ * @param options.scopedRegistries The registry to use for each scope, e.g. `@company`. These take
+ *     precedence over the RC files. `options.registryUrl` does not apply to these scopes.
+ * @param options.fetchConcurrency The number of packages fetched at the same time.
+ * @param options.fetchRetries The number of times a request that failed is retried.
+ * @param options.fetchTimeout The number of seconds after which a request is aborted.
+ * @returns An observable that will put the pacakge.json content. If the package could not be
+ *     fetched, only its requested name and the reason are set.
  * @private
  */
 export declare function getNpmPackageJson(packageName: string, logger: logging.LoggerApi, options?: {
     registryUrl?: string;
-    usingYarn?: boolean;
+    packageManager?: 'npm' | 'yarn' | 'cnpm' | 'pnpm';
     verbose?: boolean;
+    offline?: boolean;
+    cacheDirectory?: string;
+    cacheTtl?: number;
+    scopedRegistries?: {
+        [scope: string]: string;
+    };
+    fetchConcurrency?: number;
+    fetchRetries?: number;
+    fetchTimeout?: number;
 }): Promise<Partial<NpmRepositoryPackageJson>>;
+/**
+ * Replaces the abbreviated manifests of versions of a package with their full manifests, which
+ * have the `ng-update` field. Only the manifests of the given versions are downloaded, instead of
+ * the full packument. Full packuments and versions that are already complete are left as is.
+ * Fetched manifests are marked with `_hydrated`, as registries don't all return their `_id`, and
+ * each manifest is only requested once.
+ * @param versions The versions whose `ng-update` field is needed, e.g. the installed version and
+ *     the versions the package could be updated to.
+ * @returns The number of manifests that were fetched.
+ * @private
+ */
+export declare function hydrateNpmPackageJson(npmPackageJson: Partial<NpmRepositoryPackageJson>, versions: string[], logger: logging.LoggerApi, options?: {
+    registryUrl?: string;
+    packageManager?: 'npm' | 'yarn' | 'cnpm' | 'pnpm';
+    verbose?: boolean;
+    offline?: boolean;
+    cacheDirectory?: string;
+    scopedRegistries?: {
+        [scope: string]: string;
+    };
+    fetchConcurrency?: number;
+    fetchRetries?: number;
+    fetchTimeout?: number;
+}): Promise<number>;
+/**
+ * Logs how much metadata was downloaded compared to full packuments. Sizes are only measured in
+ * verbose mode.
+ * @private
+ */
+export declare function reportMetadataSize(logger: logging.LoggerApi): void;
+/**
+ * Download a version of a package from the registry and extract it.
+ * @param {string} packageName The package name to fetch.
+ * @param {string} version The version of the package to fetch.
+ * @param {string} destination The directory in which the package is extracted.
+ * @param {LoggerApi} logger A logger instance to log debug information.
+ * @param options.offline Only extract the package from the npm cache, never from the registry.
+ * @private
+ */
+export declare function extractNpmPackage(packageName: string, version: string, destination: string, logger: logging.LoggerApi, options?: {
+    registryUrl?: string;
+    packageManager?: 'npm' | 'yarn' | 'cnpm' | 'pnpm';
+    verbose?: boolean;
+    offline?: boolean;
+    scopedRegistries?: {
+        [scope: string]: string;
+    };
+}): Promise<void>;
+/**
+ * Logs the RC files read for the registry settings, the effective value of each setting and the
+ * file it comes from, the registry and credentials used for each scope, and the environment
+ * variable references that are not set. Credentials, including those in URLs, are masked.
+ * @param packageNames The packages fetched from the registry; their scopes are reported too.
+ * @private
+ */
+export declare function diagnoseRegistryConfig(packageNames: string[], logger: logging.LoggerApi, options?: {
+    registryUrl?: string;
+    packageManager?: 'npm' | 'yarn' | 'cnpm' | 'pnpm';
+    scopedRegistries?: {
+        [scope: string]: string;
+    };
+}): void;
@@ -0,0 +1,25 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { logging } from '@angular-devkit/core';
+import { Tree } from '@angular-devkit/schematics';
+export declare type PackageManager = 'npm' | 'yarn' | 'cnpm' | 'pnpm';
+export declare const packageManagers: PackageManager[];
+export interface DetectedPackageManager {
+    name: PackageManager;
+    /**
+     * Where the package manager comes from: 'option', 'package.json', the path of the lockfile, or
+     * 'default'.
+     */
+    source: string;
+}
+/**
+ * Finds the package manager of the project. The one passed as an option is preferred, then the
+ * `packageManager` field of package.json, then the one that wrote the lockfile. npm is used when
+ * none of those is found.
+ */
+export declare function detectPackageManager(tree: Tree, logger: logging.LoggerApi, preferred?: PackageManager): DetectedPackageManager;
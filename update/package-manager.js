@@ -0,0 +1,62 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.detectPackageManager = exports.packageManagers = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+exports.packageManagers = ['npm', 'yarn', 'cnpm', 'pnpm'];
+const lockfilePackageManagers = [
+    ['/package-lock.json', 'npm'],
+    ['/npm-shrinkwrap.json', 'npm'],
+    ['/yarn.lock', 'yarn'],
+    ['/pnpm-lock.yaml', 'pnpm'],
+];
+/**
+ * Reads the `packageManager` field of package.json, as used by Corepack, e.g. `pnpm@8.6.0`.
+ */
+function _getPackageJsonPackageManager(tree, logger) {
+    const content = tree.read('/package.json');
+    if (!content) {
+        return undefined;
+    }
+    let field;
+    try {
+        field = JSON.parse(content.toString()).packageManager;
+    }
+    catch (_a) {
+        return undefined;
+    }
+    if (field === undefined) {
+        return undefined;
+    }
+    const name = typeof field == 'string' ? field.split('@')[0] : undefined;
+    if (!name || !exports.packageManagers.includes(name)) {
+        logger.warn(`The packageManager field of package.json (${JSON.stringify(field)}) is not supported. Ignoring.`);
+        return undefined;
+    }
+    return name;
+}
+/**
+ * Finds the package manager of the project. The one passed as an option is preferred, then the
+ * `packageManager` field of package.json, then the one that wrote the lockfile. npm is used when
+ * none of those is found.
+ */
+function detectPackageManager(tree, logger, preferred) {
+    if (preferred) {
+        return { name: preferred, source: 'option' };
+    }
+    const fromPackageJson = _getPackageJsonPackageManager(tree, logger);
+    if (fromPackageJson) {
+        return { name: fromPackageJson, source: 'package.json' };
+    }
+    const lockfile = lockfilePackageManagers.find(([path]) => tree.exists(path));
+    if (lockfile) {
+        return { name: lockfile[1], source: lockfile[0].substr(1) };
+    }
+    return { name: 'npm', source: 'default' };
+}
+exports.detectPackageManager = detectPackageManager;
@@ -0,0 +1,24 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { NpmRepositoryPackageJson } from './npm-package-json';
+export declare function getDefaultCacheDirectory(): string;
+/**
+ * Read a packument from the on-disk cache.
+ * @param {string} cacheDirectory The directory holding the cache.
+ * @param {string} registryKey The registry the packument was fetched from, as keyed in RC files,
+ *     e.g. `//registry.npmjs.org/`.
+ * @param {string} packageName The package name.
+ * @param {number} maxAge The maximum age of the entry in seconds. An older entry is ignored. When
+ *     undefined, entries never expire.
+ * @returns The cached packument, or undefined if there is no (fresh enough) entry.
+ */
+export declare function readCachedPackument(cacheDirectory: string, registryKey: string, packageName: string, maxAge?: number): NpmRepositoryPackageJson | undefined;
+/**
+ * Write a packument to the on-disk cache, replacing any previous entry.
+ */
+export declare function writeCachedPackument(cacheDirectory: string, registryKey: string, packageName: string, packument: NpmRepositoryPackageJson): void;
@@ -0,0 +1,63 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.writeCachedPackument = exports.readCachedPackument = exports.getDefaultCacheDirectory = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const fs_1 = require("fs");
+const os_1 = require("os");
+const path = require("path");
+function getDefaultCacheDirectory() {
+    return path.join(os_1.homedir(), '.cache', 'angular-update', 'packuments');
+}
+exports.getDefaultCacheDirectory = getDefaultCacheDirectory;
+/**
+ * Packuments are cached per registry, so that switching registries never serves the packument of
+ * another registry.
+ */
+function _getCacheFile(cacheDirectory, registryKey, packageName) {
+    return path.join(path.resolve(cacheDirectory), encodeURIComponent(registryKey), encodeURIComponent(packageName) + '.json');
+}
+/**
+ * Read a packument from the on-disk cache.
+ * @param {string} cacheDirectory The directory holding the cache.
+ * @param {string} registryKey The registry the packument was fetched from, as keyed in RC files,
+ *     e.g. `//registry.npmjs.org/`.
+ * @param {string} packageName The package name.
+ * @param {number} maxAge The maximum age of the entry in seconds. An older entry is ignored. When
+ *     undefined, entries never expire.
+ * @returns The cached packument, or undefined if there is no (fresh enough) entry.
+ */
+function readCachedPackument(cacheDirectory, registryKey, packageName, maxAge) {
+    let entry;
+    try {
+        entry = JSON.parse(fs_1.readFileSync(_getCacheFile(cacheDirectory, registryKey, packageName), 'utf8'));
+    }
+    catch (_a) {
+        return undefined;
+    }
+    if (!entry || typeof entry.fetchedAt != 'number' || !entry.packument) {
+        return undefined;
+    }
+    if (maxAge !== undefined && Date.now() - entry.fetchedAt > maxAge * 1000) {
+        return undefined;
+    }
+    return entry.packument;
+}
+exports.readCachedPackument = readCachedPackument;
+/**
+ * Write a packument to the on-disk cache, replacing any previous entry.
+ */
+function writeCachedPackument(cacheDirectory, registryKey, packageName, packument) {
+    const file = _getCacheFile(cacheDirectory, registryKey, packageName);
+    fs_1.mkdirSync(path.dirname(file), { recursive: true });
+    // Write to a temporary file first so concurrent runs never read a partial entry.
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs_1.writeFileSync(tmpFile, JSON.stringify({ fetchedAt: Date.now(), packument }));
+    fs_1.renameSync(tmpFile, file);
+}
+exports.writeCachedPackument = writeCachedPackument;
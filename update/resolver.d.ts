@@ -0,0 +1,50 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+export interface VersionConstraint {
+    name: string;
+    range: string;
+    type: 'peer' | 'group' | 'requirement';
+}
+export interface ResolverHost {
+    /** Whether prerelease versions satisfy ranges. */
+    includePrerelease?: boolean;
+    /** The installed version of every package of the project. */
+    installedVersions: Map<string, string>;
+    /** The versions a package can be resolved to, in order of preference. */
+    getCandidates(name: string): string[];
+    /** The constraints a version of a package puts on other packages. */
+    getConstraints(name: string, version: string): VersionConstraint[];
+    /** The constraints the installed version of a package puts on other packages. */
+    getInstalledConstraints(name: string): VersionConstraint[];
+}
+export interface ResolveResult {
+    /** The resolved version of every package, if all constraints could be satisfied. */
+    versions?: Map<string, string>;
+    /** The package that could not be resolved, if any. */
+    blocking?: string;
+    /** Whether the search gave up before trying every candidate. */
+    exhausted?: boolean;
+}
+/**
+ * Picks a version for every package to resolve so that the constraints between them, and with the
+ * installed packages that are kept, are all satisfied. Candidates listed first are preferred, and
+ * the search backtracks to later candidates when a choice leads to a conflict.
+ *
+ * Resolving a package can require other packages to be resolved too; when one of its constraints
+ * is not satisfied by the installed version of another package, that package is resolved as well.
+ *
+ * @param host Provides the installed versions, candidates and constraints of the packages.
+ * @param roots The packages to resolve, mapped to their candidate versions.
+ * @param options.strict When false, a version is picked for every package even if some
+ *     constraints cannot be satisfied, preferring candidates that satisfy them.
+ * @param options.maxSteps The maximum number of versions to try before giving up.
+ */
+export declare function resolveVersions(host: ResolverHost, roots: Map<string, string[]>, options?: {
+    strict?: boolean;
+    maxSteps?: number;
+}): ResolveResult;
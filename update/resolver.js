@@ -0,0 +1,176 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.resolveVersions = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const semver = require("semver");
+/**
+ * Picks a version for every package to resolve so that the constraints between them, and with the
+ * installed packages that are kept, are all satisfied. Candidates listed first are preferred, and
+ * the search backtracks to later candidates when a choice leads to a conflict.
+ *
+ * Resolving a package can require other packages to be resolved too; when one of its constraints
+ * is not satisfied by the installed version of another package, that package is resolved as well.
+ *
+ * @param host Provides the installed versions, candidates and constraints of the packages.
+ * @param roots The packages to resolve, mapped to their candidate versions.
+ * @param options.strict When false, a version is picked for every package even if some
+ *     constraints cannot be satisfied, preferring candidates that satisfy them.
+ * @param options.maxSteps The maximum number of versions to try before giving up.
+ */
+function resolveVersions(host, roots, options = {}) {
+    const { strict = true, maxSteps = 10000 } = options;
+    const satisfiesOptions = { includePrerelease: !!host.includePrerelease };
+    const ranges = new Map();
+    const satisfies = (version, range) => {
+        let parsed = ranges.get(range);
+        if (parsed === undefined) {
+            try {
+                parsed = new semver.Range(range, satisfiesOptions);
+            }
+            catch (_a) {
+                parsed = null;
+            }
+            ranges.set(range, parsed);
+        }
+        return !!parsed && parsed.test(version);
+    };
+    const constraintsCache = new Map();
+    const getConstraints = (name, version) => {
+        const key = `${name}@${version}`;
+        let constraints = constraintsCache.get(key);
+        if (!constraints) {
+            constraints = host.getConstraints(name, version);
+            constraintsCache.set(key, constraints);
+        }
+        return constraints;
+    };
+    // The ranges each resolved version puts on other packages, keyed by the constrained package.
+    const rangesCache = new Map();
+    const getRanges = (name, version) => {
+        const key = `${name}@${version}`;
+        let rangesByName = rangesCache.get(key);
+        if (!rangesByName) {
+            rangesByName = new Map();
+            for (const constraint of getConstraints(name, version)) {
+                rangesByName.set(constraint.name, [...(rangesByName.get(constraint.name) || []), constraint.range]);
+            }
+            rangesCache.set(key, rangesByName);
+        }
+        return rangesByName;
+    };
+    // The ranges the installed packages put on other packages, keyed by the constrained package.
+    const installedRanges = new Map();
+    for (const other of host.installedVersions.keys()) {
+        for (const constraint of host.getInstalledConstraints(other)) {
+            if (!installedRanges.has(constraint.name)) {
+                installedRanges.set(constraint.name, []);
+            }
+            installedRanges.get(constraint.name).push({ from: other, range: constraint.range });
+        }
+    }
+    const failures = new Map();
+    let steps = 0;
+    // Returns true if a version satisfies every constraint put on the package by the resolved
+    // packages and, unless `resolvedOnly` is set, by the installed packages that are kept.
+    const isAllowed = (name, version, pending, assigned, resolvedOnly = false) => {
+        for (const [other, otherVersion] of assigned) {
+            const otherRanges = getRanges(other, otherVersion).get(name);
+            if (otherRanges && otherRanges.some(range => !satisfies(version, range))) {
+                return false;
+            }
+        }
+        if (resolvedOnly) {
+            return true;
+        }
+        for (const { from, range } of installedRanges.get(name) || []) {
+            if (from != name && !assigned.has(from) && !pending.has(from) && !satisfies(version, range)) {
+                return false;
+            }
+        }
+        return true;
+    };
+    const search = (pending, assigned) => {
+        if (pending.length == 0) {
+            return assigned;
+        }
+        const [name, ...rest] = pending;
+        const restSet = new Set(rest);
+        const candidates = roots.get(name) || host.getCandidates(name);
+        const allowed = [];
+        const allowedByResolved = [];
+        const conflicting = [];
+        for (const version of candidates) {
+            if (isAllowed(name, version, restSet, assigned)) {
+                allowed.push(version);
+            }
+            else if (!strict) {
+                // Without strict mode, candidates that only conflict with installed packages come
+                // next, as those conflicts can be fixed by updating the installed packages later on.
+                (isAllowed(name, version, restSet, assigned, true) ? allowedByResolved : conflicting).push(version);
+            }
+        }
+        const ordered = [...allowed, ...allowedByResolved, ...conflicting];
+        for (const version of ordered) {
+            if (++steps > maxSteps) {
+                return null;
+            }
+            const result = tryVersion(name, version, rest, assigned);
+            if (result) {
+                return result;
+            }
+        }
+        failures.set(name, (failures.get(name) || 0) + 1);
+        return null;
+    };
+    const tryVersion = (name, version, rest, assigned) => {
+        const newAssigned = new Map(assigned).set(name, version);
+        const newPending = [...rest];
+        for (const constraint of getConstraints(name, version)) {
+            if (constraint.name == name) {
+                continue;
+            }
+            const assignedVersion = newAssigned.get(constraint.name);
+            if (assignedVersion !== undefined) {
+                if (strict && !satisfies(assignedVersion, constraint.range)) {
+                    return null;
+                }
+                continue;
+            }
+            if (newPending.includes(constraint.name)) {
+                continue;
+            }
+            const installedVersion = host.installedVersions.get(constraint.name);
+            if (installedVersion === undefined) {
+                // Missing peer dependencies are only warned about, but requirements must be met.
+                if (strict && constraint.type == 'requirement') {
+                    return null;
+                }
+                continue;
+            }
+            if (satisfies(installedVersion, constraint.range)) {
+                continue;
+            }
+            if (constraint.type != 'requirement' && host.getCandidates(constraint.name).length > 0) {
+                newPending.push(constraint.name);
+            }
+            else if (strict) {
+                return null;
+            }
+        }
+        return search(newPending, newAssigned);
+    };
+    const versions = search([...roots.keys()], new Map());
+    if (versions) {
+        return { versions };
+    }
+    // The package whose candidates were exhausted most often is the one blocking the resolution.
+    const [blocking] = [...failures.entries()].reduce((max, entry) => entry[1] > max[1] ? entry : max, [undefined, 0]);
+    return { blocking, exhausted: steps > maxSteps };
+}
+exports.resolveVersions = resolveVersions;
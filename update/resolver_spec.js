@@ -0,0 +1,109 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const resolver_1 = require("./resolver");
+/**
+ * Creates a host from a description of each package: its installed version and peer dependencies,
+ * and the peer dependencies of each of its candidate versions, in order of preference.
+ */
+function createHost(packages) {
+    const peersOf = (peers = {}) => Object.entries(peers).map(([name, range]) => ({ name, range, type: 'peer' }));
+    return {
+        installedVersions: new Map(Object.entries(packages)
+            .filter(([, { installed }]) => installed !== undefined)
+            .map(([name, { installed }]) => [name, installed])),
+        getCandidates(name) {
+            return Object.keys((packages[name] && packages[name].versions) || {});
+        },
+        getConstraints(name, version) {
+            const versions = (packages[name] && packages[name].versions) || {};
+            const constraints = versions[version] || {};
+            return [
+                ...peersOf(constraints.peers),
+                ...Object.entries(constraints.requirements || {})
+                    .map(([requirement, range]) => ({ name: requirement, range, type: 'requirement' })),
+            ];
+        },
+        getInstalledConstraints(name) {
+            return peersOf(packages[name] && packages[name].installedPeers);
+        },
+    };
+}
+function entries(result) {
+    return result.versions ? Object.fromEntries(result.versions) : undefined;
+}
+describe('resolveVersions', () => {
+    it('picks the preferred candidates when they satisfy every constraint', () => {
+        const host = createHost({
+            a: { installed: '1.0.0', versions: { '2.0.0': { peers: { b: '^1.0.0' } } } },
+            b: { installed: '1.0.0', versions: {} },
+        });
+        expect(entries(resolver_1.resolveVersions(host, new Map([['a', ['2.0.0']]])))).toEqual({ a: '2.0.0' });
+    });
+    it('backtracks to the next candidate when a choice leads to a conflict', () => {
+        // a@2 needs b@2, which needs a version of c that is not available.
+        const host = createHost({
+            a: { installed: '1.0.0', versions: { '2.0.0': { peers: { b: '^2.0.0' } }, '1.5.0': { peers: { b: '^1.0.0' } } } },
+            b: { installed: '1.0.0', versions: { '2.0.0': { peers: { c: '^3.0.0' } } } },
+            c: { installed: '2.0.0', versions: {} },
+        });
+        expect(entries(resolver_1.resolveVersions(host, new Map([['a', ['2.0.0', '1.5.0']]])))).toEqual({ a: '1.5.0' });
+    });
+    it('resolves the packages whose installed version fails a constraint, transitively', () => {
+        const host = createHost({
+            a: { installed: '1.0.0', versions: { '2.0.0': { peers: { b: '^2.0.0' } } } },
+            b: {
+                installed: '1.0.0',
+                versions: { '2.1.0': { peers: { c: '^2.0.0' } }, '2.0.0': {}, '1.0.0': {} },
+            },
+            c: { installed: '1.0.0', versions: { '2.0.0': {} } },
+            d: { installed: '1.0.0', versions: { '2.0.0': {} } },
+        });
+        expect(entries(resolver_1.resolveVersions(host, new Map([['a', ['2.0.0']]]))))
+            .toEqual({ a: '2.0.0', b: '2.1.0', c: '2.0.0' });
+    });
+    it('does not resolve packages to meet requirements, which must already be met', () => {
+        const host = createHost({
+            a: { installed: '1.0.0', versions: { '2.0.0': { requirements: { b: '^2.0.0' } } } },
+            b: { installed: '1.0.0', versions: { '2.0.0': {} } },
+        });
+        expect(resolver_1.resolveVersions(host, new Map([['a', ['2.0.0']]]))).toEqual({ blocking: 'a', exhausted: false });
+    });
+    describe('when an installed package blocks every candidate', () => {
+        // c is kept at its installed version, which only accepts a@1, and b@1 only accepts a@2.
+        const host = createHost({
+            a: { installed: '1.0.0', versions: { '3.0.0': {}, '2.0.0': {} } },
+            b: { installed: '0.9.0', versions: { '1.0.0': { peers: { a: '^2.0.0' } } } },
+            c: { installed: '1.0.0', installedPeers: { a: '^1.0.0' }, versions: {} },
+        });
+        const roots = new Map([['b', ['1.0.0']], ['a', ['3.0.0', '2.0.0']]]);
+        it('fails in strict mode', () => {
+            const result = resolver_1.resolveVersions(host, roots);
+            expect(result.versions).toBeUndefined();
+            expect(result.blocking).toBe('a');
+            expect(result.exhausted).toBe(false);
+        });
+        it('picks the candidates that satisfy the resolved packages without strict mode', () => {
+            expect(entries(resolver_1.resolveVersions(host, roots, { strict: false }))).toEqual({ b: '1.0.0', a: '2.0.0' });
+        });
+    });
+    it('gives up after the maximum number of steps', () => {
+        const versions = {};
+        for (let minor = 20; minor > 0; minor--) {
+            versions[`2.${minor}.0`] = { peers: { b: '^2.0.0' } };
+        }
+        const host = createHost({
+            a: { installed: '1.0.0', versions },
+            b: { installed: '1.0.0', versions: {} },
+        });
+        const roots = new Map([['a', Object.keys(versions)]]);
+        expect(resolver_1.resolveVersions(host, roots, { maxSteps: 5 })).toEqual({ blocking: undefined, exhausted: true });
+        expect(resolver_1.resolveVersions(host, roots)).toEqual({ blocking: 'a', exhausted: false });
+    });
+});
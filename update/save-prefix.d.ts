@@ -0,0 +1,30 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+export declare type SavePrefixPolicy = 'keep' | 'exact' | 'caret' | 'tilde' | 'widen';
+export declare const savePrefixPolicies: SavePrefixPolicy[];
+export interface SavePrefixRule {
+    pattern: RegExp;
+    policy: SavePrefixPolicy;
+}
+/**
+ * Parses the policies given as 'policy' for every package, or as 'pattern=policy' for the packages
+ * whose name matches the pattern. Patterns only support the `*` wildcard, e.g. '@angular/*'.
+ */
+export declare function parseSavePrefixPolicies(values: string[]): SavePrefixRule[];
+/**
+ * Returns the policy of a package. When several patterns match, the last one wins.
+ */
+export declare function getSavePrefixPolicy(policies: SavePrefixRule[], name: string): SavePrefixPolicy;
+/**
+ * Returns the range to write to package.json when updating a package to a version.
+ * @param range The range currently in package.json.
+ * @param policy 'keep' keeps the shape of simple ranges and the ranges that already accept the
+ *     version, and widens other ranges. 'exact', 'caret' and 'tilde' replace the range. 'widen'
+ *     keeps the existing range and extends it to accept the version.
+ */
+export declare function getUpdatedRange(range: string, version: string, policy: SavePrefixPolicy): string;
@@ -0,0 +1,106 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.getUpdatedRange = exports.getSavePrefixPolicy = exports.parseSavePrefixPolicies = exports.savePrefixPolicies = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const schematics_1 = require("@angular-devkit/schematics");
+const semver = require("semver");
+exports.savePrefixPolicies = ['keep', 'exact', 'caret', 'tilde', 'widen'];
+function _patternToRegExp(pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`);
+}
+/**
+ * Parses the policies given as 'policy' for every package, or as 'pattern=policy' for the packages
+ * whose name matches the pattern. Patterns only support the `*` wildcard, e.g. '@angular/*'.
+ */
+function parseSavePrefixPolicies(values) {
+    return values.map(value => {
+        const match = value.match(/^(?:(.+)=)?([a-z]+)$/);
+        if (!match || !exports.savePrefixPolicies.includes(match[2])) {
+            throw new schematics_1.SchematicsException(`Invalid save prefix: ${JSON.stringify(value)}. Expected 'policy' or 'pattern=policy', where `
+                + `policy is one of ${exports.savePrefixPolicies.map(x => `'${x}'`).join(', ')}.`);
+        }
+        return { pattern: _patternToRegExp(match[1] || '*'), policy: match[2] };
+    });
+}
+exports.parseSavePrefixPolicies = parseSavePrefixPolicies;
+/**
+ * Returns the policy of a package. When several patterns match, the last one wins.
+ */
+function getSavePrefixPolicy(policies, name) {
+    const matching = policies.filter(({ pattern }) => pattern.test(name));
+    return matching.length > 0 ? matching[matching.length - 1].policy : 'keep';
+}
+exports.getSavePrefixPolicy = getSavePrefixPolicy;
+/**
+ * Returns a range of the same shape as a simple range, for a new version: a version with the same
+ * `^`, `~` or `=` prefix, or an X-range with the same number of components, e.g. `11.x` becomes
+ * `13.x`.
+ * @returns The new range, or undefined if the range is not simple.
+ */
+function _reshapeRange(range, version) {
+    const trimmed = range.trim();
+    const prefixMatch = /^([\^~]|=)?\s*v?(\d+\.\d+\.\d+(?:[-+][\w.+-]*)?)$/.exec(trimmed);
+    if (prefixMatch) {
+        return `${prefixMatch[1] || ''}${version}`;
+    }
+    const xMatch = /^v?(\d+)(?:\.(\d+|[xX*]))?(?:\.([xX*]))?$/.exec(trimmed);
+    if (xMatch) {
+        const wildcard = (xMatch[2] && !/\d/.test(xMatch[2]) && xMatch[2]) || xMatch[3];
+        const components = xMatch[2] && /\d/.test(xMatch[2])
+            ? [semver.major(version), semver.minor(version)]
+            : [semver.major(version)];
+        return components.join('.') + (wildcard ? `.${wildcard}` : '');
+    }
+    return undefined;
+}
+/**
+ * Widens a range so that it also accepts a new version. Ranges with an upper bound have it moved
+ * to the next major of the version; other ranges get an alternative for the version.
+ */
+function _widenRange(range, version) {
+    if (semver.satisfies(version, range)) {
+        return range;
+    }
+    const upperBound = /(<=?)\s*v?\d+(?:\.(?:\d+|[xX*])){0,2}(?:-[\w.]+)?\s*$/;
+    if (!range.includes('||') && upperBound.test(range) && semver.gte(version, semver.minVersion(range))) {
+        return range.replace(upperBound, `<${semver.major(version) + 1}`);
+    }
+    return `${range.trim()} || ${_reshapeRange(range, version) || `^${version}`}`;
+}
+/**
+ * Returns the range to write to package.json when updating a package to a version.
+ * @param range The range currently in package.json.
+ * @param policy 'keep' keeps the shape of simple ranges and the ranges that already accept the
+ *     version, and widens other ranges. 'exact', 'caret' and 'tilde' replace the range. 'widen'
+ *     keeps the existing range and extends it to accept the version.
+ */
+function getUpdatedRange(range, version, policy) {
+    switch (policy) {
+        case 'exact':
+            return version;
+        case 'caret':
+            return `^${version}`;
+        case 'tilde':
+            return `~${version}`;
+    }
+    if (!semver.validRange(range)) {
+        // Dist-tags and other specifiers that are not ranges.
+        return version;
+    }
+    if (policy == 'widen') {
+        return _widenRange(range, version);
+    }
+    const reshaped = _reshapeRange(range, version);
+    if (reshaped !== undefined) {
+        return reshaped;
+    }
+    return _widenRange(range, version);
+}
+exports.getUpdatedRange = getUpdatedRange;
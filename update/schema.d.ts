@@ -1,4 +1,45 @@
 export interface Schema {
+    /**
+     * The directory in which fetched package metadata is cached. Defaults to
+     * '~/.cache/angular-update/packuments'.
+     */
+    cacheDirectory?: string;
+    /**
+     * The number of seconds during which cached package metadata is used instead of fetching it
+     * from the registry.
+     */
+    cacheTtl?: number;
+    /**
+     * A file in which the choices made with '--interactive' are saved. Without '--interactive',
+     * the choices saved in this file are replayed without prompts.
+     */
+    choicesFile?: string;
+    /**
+     * Keep running the next migrations when a migration fails, and list the migrations that
+     * failed at the end, then fail. Ignored with '--transactional'.
+     */
+    continueOnError?: boolean;
+    /**
+     * Report the RC files read for the registry settings, the effective value of each setting and
+     * the file it comes from, the registry and masked credentials used for each scope, and the
+     * environment variable references that are not set, instead of updating packages.
+     */
+    diagnoseRegistry?: boolean;
+    /**
+     * The number of packages fetched from the registry at the same time.
+     */
+    fetchConcurrency?: number;
+    /**
+     * The number of times a request to the registry is retried when it is rate limited, fails
+     * with a server error or times out. Retries wait longer each time, or as long as the registry
+     * asks with Retry-After.
+     */
+    fetchRetries?: number;
+    /**
+     * The number of seconds after which a request to the registry is aborted. Defaults to the
+     * timeout configured in RC files, or 30 seconds.
+     */
+    fetchTimeout?: number;
     /**
      * When false (the default), reports an error if installed packages are incompatible with
      * the update.
@@ -9,17 +50,49 @@ export interface Schema {
      * to migrate.
      */
     from?: string;
+    /**
+     * Choose the packages to update and their versions from a list of the outdated packages, and
+     * whether to run each optional migration.
+     */
+    interactive?: boolean;
+    /**
+     * Output the analysis of the update as JSON instead of updating packages. Only warnings and
+     * errors are logged besides the JSON.
+     */
+    json?: boolean;
+    /**
+     * When using `--migrateOnly` for a single package, list the migrations of that package
+     * instead of running them. Without `--from`, the migrations that would run when updating the
+     * package from its installed version are marked.
+     */
+    listMigrations?: boolean;
     migrateExternal?: boolean;
     /**
      * Perform a migration, but do not update the installed version.
      */
     migrateOnly?: boolean;
+    /**
+     * Write the files changed by each migration to the given markdown (.md) or JSON (.json)
+     * file, relative to the workspace root.
+     */
+    migrationReport?: string;
+    /**
+     * When using `--migrateOnly` for a single package, the names of the migrations to run,
+     * separated by commas.
+     */
+    name?: string;
     /**
      * Update to the latest version, including beta and RCs.
      */
     next?: boolean;
     /**
-     * The preferred package manager configuration files to use for registry settings.
+     * Resolve packages only from the packument cache, without contacting the registry.
+     */
+    offline?: boolean;
+    /**
+     * The package manager that installs the updated packages, and whose configuration files are
+     * read for registry settings. When not set, it is detected from the packageManager field of
+     * package.json, then from the lockfile.
      */
     packageManager?: PackageManager;
     /**
@@ -27,21 +100,65 @@ export interface Schema {
      */
     packages?: string[];
     /**
-     * The npm registry to use.
+     * Show the changes to package.json, the install command and the migrations an update would
+     * run, without updating anything.
+     */
+    plan?: boolean;
+    /**
+     * The npm registry to use. Scoped packages use the registry configured for their scope
+     * instead, if any.
      */
     registry?: string;
+    /**
+     * Write the analysis of the update as JSON to the given file, relative to the workspace root.
+     * The file is written even when the update fails because of conflicts.
+     */
+    report?: string;
+    /**
+     * Skip the migrations that already completed when migrating the same package between the
+     * same versions, for example when running the migrations again after one of them failed.
+     * Fails if package.json or the lockfile changed since the migrations ran.
+     */
+    resume?: boolean;
+    /**
+     * How to write the new version of a package in package.json, formatted as 'policy' for every
+     * package or as 'pattern=policy' for the packages matching a pattern such as '@angular/*'.
+     * The policy is one of 'keep' (keep the shape of the existing range), 'exact', 'caret',
+     * 'tilde' or 'widen' (extend the existing range to accept the new version). When several
+     * patterns match a package, the last one wins. Defaults to 'keep'.
+     */
+    savePrefix?: string[];
+    /**
+     * The npm registry to use for a scope, formatted as '@scope=url'. Takes precedence over the
+     * registries configured in RC files.
+     */
+    scopedRegistries?: string[];
+    /**
+     * Update package.json without installing the packages or running their migrations. The
+     * commands to do so are printed instead.
+     */
+    skipInstall?: boolean;
     /**
      * When using `--migrateOnly` for a single package, the version of that package to which to
      * migrate.
      */
     to?: string;
+    /**
+     * Record package.json, the lockfile and every file changed by migrations, and restore them if
+     * installing the packages or a migration fails. The original packages are then installed
+     * again. If the update is interrupted, it is reverted the next time the update runs with this
+     * option.
+     */
+    transactional?: boolean;
     /**
      * Display additional details during the update process.
      */
     verbose?: boolean;
 }
 /**
- * The preferred package manager configuration files to use for registry settings.
+ * The package manager that installs the updated packages, and whose configuration files are
+ * read for registry settings. When not set, it is detected from the packageManager field of
+ * package.json, then from the lockfile.
  */
 export declare enum PackageManager {
     Cnpm = "cnpm",
@@ -4,7 +4,9 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.PackageManager = void 0;
 /**
- * The preferred package manager configuration files to use for registry settings.
+ * The package manager that installs the updated packages, and whose configuration files are
+ * read for registry settings. When not set, it is detected from the packageManager field of
+ * package.json, then from the lockfile.
  */
 var PackageManager;
 (function (PackageManager) {
@@ -0,0 +1,15 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { logging } from '@angular-devkit/core';
+import { Tree } from '@angular-devkit/schematics';
+/**
+ * Discovers the package.json of the workspace members, from the `workspaces` field of the root
+ * package.json (npm and yarn) and from pnpm-workspace.yaml.
+ * @returns The paths of the members' package.json, not including the root package.json.
+ */
+export declare function getWorkspaceManifestPaths(tree: Tree, logger: logging.LoggerApi): string[];
@@ -0,0 +1,97 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.getWorkspaceManifestPaths = void 0;
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const core_1 = require("@angular-devkit/core");
+const yaml = require('js-yaml');
+function _getWorkspacePatterns(tree, logger) {
+    const patterns = [];
+    const packageJsonContent = tree.read('/package.json');
+    if (packageJsonContent) {
+        try {
+            const workspaces = JSON.parse(packageJsonContent.toString())['workspaces'];
+            // Yarn also allows an object, to configure hoisting.
+            const packages = Array.isArray(workspaces) ? workspaces : workspaces && workspaces.packages;
+            if (Array.isArray(packages)) {
+                patterns.push(...packages.filter(x => typeof x == 'string'));
+            }
+        }
+        catch (_a) { }
+    }
+    const pnpmWorkspaceContent = tree.read('/pnpm-workspace.yaml');
+    if (pnpmWorkspaceContent) {
+        try {
+            const packages = (yaml.load(pnpmWorkspaceContent.toString()) || {}).packages;
+            if (Array.isArray(packages)) {
+                patterns.push(...packages.filter(x => typeof x == 'string'));
+            }
+        }
+        catch (e) {
+            logger.warn(`pnpm-workspace.yaml could not be parsed: ${e.message}. Ignoring.`);
+        }
+    }
+    return patterns;
+}
+function _segmentToRegExp(segment) {
+    const source = segment
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^/]*');
+    return new RegExp(`^${source}$`);
+}
+/**
+ * Lists the directories matching a glob pattern. Only `*` and `**` wildcards are supported, which
+ * is what workspace configurations use in practice.
+ */
+function _matchDirectories(tree, dir, segments, result) {
+    if (segments.length == 0) {
+        result.add(dir);
+        return;
+    }
+    const [segment, ...rest] = segments;
+    const subdirs = tree.getDir(dir).subdirs.filter(x => x != 'node_modules' && !x.startsWith('.'));
+    if (segment == '**') {
+        _matchDirectories(tree, dir, rest, result);
+        for (const subdir of subdirs) {
+            _matchDirectories(tree, core_1.join(dir, subdir), segments, result);
+        }
+    }
+    else if (segment.includes('*')) {
+        const regexp = _segmentToRegExp(segment);
+        for (const subdir of subdirs.filter(x => regexp.test(x))) {
+            _matchDirectories(tree, core_1.join(dir, subdir), rest, result);
+        }
+    }
+    else if (segment == '.' || segment == '') {
+        _matchDirectories(tree, dir, rest, result);
+    }
+    else {
+        _matchDirectories(tree, core_1.join(dir, segment), rest, result);
+    }
+}
+/**
+ * Discovers the package.json of the workspace members, from the `workspaces` field of the root
+ * package.json (npm and yarn) and from pnpm-workspace.yaml.
+ * @returns The paths of the members' package.json, not including the root package.json.
+ */
+function getWorkspaceManifestPaths(tree, logger) {
+    const included = new Set();
+    const excluded = new Set();
+    for (const pattern of _getWorkspacePatterns(tree, logger)) {
+        const negated = pattern.startsWith('!');
+        const segments = (negated ? pattern.substr(1) : pattern).split('/');
+        _matchDirectories(tree, core_1.normalize('/'), segments, negated ? excluded : included);
+    }
+    return [...included]
+        .filter(dir => dir != '/' && !excluded.has(dir))
+        .map(dir => core_1.join(dir, 'package.json'))
+        .filter(path => tree.exists(path))
+        .sort();
+}
+exports.getWorkspaceManifestPaths = getWorkspaceManifestPaths;